@@ -1,5 +1,6 @@
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import fs from 'fs';
+import { toPiastres } from './services/money.js';
 
 const EXTRACTION_PROMPT = `You are an expert at reading Egyptian restaurant menus. Analyze this menu image with extreme care and extract EVERY item with correct prices.
 
@@ -199,7 +200,7 @@ export async function extractMenuFromImage(imagePath) {
     category: String(item.category || 'Uncategorized').trim(),
     variants: (item.variants || []).map(v => ({
       label: String(v.label || 'default').trim(),
-      price: Number(v.price) || 0
+      price: toPiastres(v.price) // menus are read in EGP, stored in piastres
     })).filter(v => v.price > 0 && v.label)
   })).filter(item => item.name && item.variants.length > 0);
 }
@@ -294,7 +295,7 @@ export async function extractMenuFromUrls(imageUrls) {
           category: String(item.category || 'Uncategorized').trim(),
           variants: (item.variants || []).map(v => ({
             label: String(v.label || 'default').trim(),
-            price: Number(v.price) || 0
+            price: toPiastres(v.price)
           })).filter(v => v.label)
         })).filter(item => item.name),
         source: parsed.source || 'unknown'
@@ -353,7 +354,7 @@ export async function extractMenuFromBase64(images) {
       category: String(item.category || 'Uncategorized').trim(),
       variants: (item.variants || []).map(v => ({
         label: String(v.label || 'default').trim(),
-        price: Number(v.price) || 0
+        price: toPiastres(v.price)
       })).filter(v => v.label)
     })).filter(item => item.name),
     source: parsed.source || 'unknown'
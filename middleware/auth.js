@@ -2,6 +2,29 @@ import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret-change-me';
+const GUEST_TOKEN_EXPIRY = '12h';
+
+/**
+ * Issue a guest token scoped to a single session.
+ */
+export function signGuestToken({ guestId, name, sessionId }) {
+  return jwt.sign(
+    { type: 'guest', guestId, name, sessionId },
+    JWT_SECRET,
+    { expiresIn: GUEST_TOKEN_EXPIRY }
+  );
+}
+
+/**
+ * Verify a guest token and return its payload.
+ * `graceSeconds` accepts a token that expired at most that long ago
+ * (claiming orders when signing up right after the session).
+ */
+export function verifyGuestToken(token, { graceSeconds = 0 } = {}) {
+  const decoded = jwt.verify(token, JWT_SECRET, { clockTolerance: graceSeconds });
+  if (decoded.type !== 'guest') throw new Error('Not a guest token');
+  return decoded;
+}
 
 /**
  * Required auth middleware.
@@ -16,6 +39,9 @@ export function auth(req, res, next) {
   const token = header.split(' ')[1];
   try {
     const decoded = jwt.verify(token, JWT_SECRET);
+    if (decoded.type === 'guest') {
+      return res.status(401).json({ error: 'An account is required for this action', code: 'GUEST_NOT_ALLOWED' });
+    }
     req.user = { id: decoded.id, name: decoded.name, email: decoded.email };
     next();
   } catch (err) {
@@ -40,9 +66,62 @@ export function optionalAuth(req, res, next) {
   const token = header.split(' ')[1];
   try {
     const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = { id: decoded.id, name: decoded.name, email: decoded.email };
+    req.user = decoded.type === 'guest'
+      ? null
+      : { id: decoded.id, name: decoded.name, email: decoded.email };
   } catch {
     req.user = null;
   }
   next();
 }
+
+/**
+ * The caller behind an access token, or a guest token issued for `sessionId`
+ * (same shape as participantAuth's req.user). Null when the token is missing,
+ * invalid, expired or for another session — used by socket handshakes.
+ */
+export function participantFromToken(token, sessionId) {
+  if (typeof token !== 'string' || !token) return null;
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    if (decoded.type === 'guest') {
+      return decoded.sessionId === sessionId
+        ? { id: null, name: decoded.name, guestId: decoded.guestId, isGuest: true }
+        : null;
+    }
+    return { id: decoded.id, name: decoded.name, email: decoded.email };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Session participant auth middleware.
+ * Accepts a regular access token, or a guest token issued for the session in
+ * req.params.id. Guests get req.user = { id: null, name, guestId, isGuest: true }.
+ */
+export function participantAuth(req, res, next) {
+  const header = req.headers.authorization;
+  if (!header || !header.startsWith('Bearer ')) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  const token = header.split(' ')[1];
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    if (decoded.type === 'guest') {
+      if (decoded.sessionId !== req.params.id) {
+        return res.status(403).json({ error: 'Guest access is limited to the session you joined', code: 'GUEST_WRONG_SESSION' });
+      }
+      req.user = { id: null, name: decoded.name, guestId: decoded.guestId, isGuest: true };
+    } else {
+      req.user = { id: decoded.id, name: decoded.name, email: decoded.email };
+    }
+    next();
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Token expired', code: 'TOKEN_EXPIRED' });
+    }
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+}
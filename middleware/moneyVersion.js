@@ -0,0 +1,55 @@
+import { toPiastres } from '../services/money.js';
+
+/**
+ * Money wire format.
+ *
+ * Amounts are integer piastres since money version 2. Clients opt in with an
+ * `X-Money-Version: 2` header (or `moneyVersion: 2` in the body). Requests
+ * without it are read the old way — EGP, possibly fractional — and converted
+ * here before validation, so older clients keep working unchanged.
+ *
+ * Usage: app.post('/api/sessions', auth, legacyMoney('deliveryFee', 'items[].price'), …)
+ * Paths are dotted; `[]` walks every entry of an array.
+ */
+export const MONEY_VERSION = 2;
+
+export function moneyVersionOf(req) {
+  const version = parseInt(req.get('x-money-version') ?? req.body?.moneyVersion);
+  return Number.isNaN(version) ? 1 : version;
+}
+
+function convertAt(target, keys) {
+  if (target === null || typeof target !== 'object') return;
+  const [key, ...rest] = keys;
+
+  if (key.endsWith('[]')) {
+    const list = target[key.slice(0, -2)];
+    if (Array.isArray(list) && rest.length) list.forEach(entry => convertAt(entry, rest));
+    return;
+  }
+  if (rest.length) {
+    convertAt(target[key], rest);
+    return;
+  }
+
+  // A percent discount is not an amount
+  if (key === 'value' && target.type === 'percent') return;
+  const value = target[key];
+  const egp = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  // Anything that isn't a number is left for the route's own validation
+  if (typeof egp === 'number' && Number.isFinite(egp)) target[key] = toPiastres(egp);
+}
+
+/**
+ * Convert the given body fields from EGP to piastres for clients that haven't
+ * opted in to money version 2. Mount after any multipart parser.
+ */
+export function legacyMoney(...paths) {
+  const parsed = paths.map(path => path.split('.'));
+  return (req, res, next) => {
+    if (moneyVersionOf(req) < MONEY_VERSION && req.body && typeof req.body === 'object') {
+      for (const keys of parsed) convertAt(req.body, keys);
+    }
+    next();
+  };
+}
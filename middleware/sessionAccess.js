@@ -0,0 +1,118 @@
+import Session from '../models/Session.js';
+
+/**
+ * Session authorization layer.
+ *
+ * Roles, from strongest to weakest:
+ *   host   — created the session
+ *   cohost — designated by the host, can do everything except manage co-hosts
+ *   owner  — placed the order, or the order is for them (own order only)
+ *   participant — owns one of the session's orders (session-wide permissions)
+ *
+ * Usage: app.put('/api/sessions/:id/orders/:orderId', auth, loadSession, authorizeSession('order:edit'), …)
+ */
+const PERMISSIONS = {
+  'session:close': ['host', 'cohost'],
+  'session:status': ['host', 'cohost'],
+  'session:settings': ['host', 'cohost'],
+  'session:treat': ['host', 'cohost'],
+  'session:cohosts': ['host'],
+  'order:edit': ['host', 'cohost', 'owner'],
+  'order:delete': ['host', 'cohost', 'owner'],
+  'order:payment': ['host', 'cohost', 'owner'],
+  'order:proof': ['host', 'cohost', 'owner'],
+  'order:confirm': ['host', 'cohost'],
+  'session:activity': ['host', 'cohost', 'participant'],
+  'session:ticket': ['host', 'cohost', 'participant'],
+};
+
+export function isHost(session, user) {
+  return !!user?.id && session.host.toString() === user.id;
+}
+
+export function isCoHost(session, user) {
+  return !!user?.id && (session.coHosts || []).some(c => c.user.toString() === user.id);
+}
+
+export function ownsOrder(order, user) {
+  if (!user) return false;
+  if (user.isGuest) return !!order.guestId && order.guestId === user.guestId;
+  return order.user?.toString() === user.id || order.orderedBy?.toString() === user.id;
+}
+
+/**
+ * Strongest role the user has for the session (and order, if given), or null.
+ */
+export function sessionRole(session, user, order = null) {
+  if (isHost(session, user)) return 'host';
+  if (isCoHost(session, user)) return 'cohost';
+  if (order) return ownsOrder(order, user) ? 'owner' : null;
+  if ((session.orders || []).some(o => ownsOrder(o, user))) return 'participant';
+  return null;
+}
+
+/**
+ * Whether `user` holds a session-wide `permission` (no order involved).
+ */
+export function hasSessionPermission(session, user, permission) {
+  const role = sessionRole(session, user);
+  return !!role && PERMISSIONS[permission].includes(role);
+}
+
+/**
+ * Load the session in req.params.id onto req.sessionDoc.
+ */
+export async function loadSession(req, res, next) {
+  try {
+    const session = await Session.findOne({ sessionId: req.params.id });
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    req.sessionDoc = session;
+    next();
+  } catch (err) {
+    console.error('Load session error:', err);
+    res.status(500).json({ error: 'Failed to load session' });
+  }
+}
+
+/**
+ * Require a permission on the loaded session. For order permissions the order
+ * in req.params.orderId is loaded onto req.order. The caller's role ends up in
+ * req.sessionRole.
+ */
+export function authorizeSession(permission) {
+  const allowed = PERMISSIONS[permission];
+  if (!allowed) throw new Error(`Unknown session permission: ${permission}`);
+
+  return (req, res, next) => {
+    const session = req.sessionDoc;
+    let order = null;
+    if (req.params.orderId) {
+      order = session.orders.find(o => o.orderId === req.params.orderId);
+      if (!order) return res.status(404).json({ error: 'Order not found' });
+      req.order = order;
+    }
+
+    const role = sessionRole(session, req.user, order);
+    if (role && allowed.includes(role)) {
+      req.sessionRole = role;
+      return next();
+    }
+
+    if (allowed.includes('participant')) {
+      return res.status(403).json({
+        error: 'Only the host, co-hosts and participants of this session can do this',
+        code: 'NOT_SESSION_PARTICIPANT',
+      });
+    }
+    if (allowed.includes('owner')) {
+      return res.status(403).json({
+        error: 'Only the host, a co-host or the order owner can do this',
+        code: 'NOT_ORDER_OWNER',
+      });
+    }
+    if (!allowed.includes('cohost')) {
+      return res.status(403).json({ error: 'Only the host can do this', code: 'NOT_SESSION_HOST' });
+    }
+    return res.status(403).json({ error: 'Only the host or a co-host can do this', code: 'NOT_SESSION_HOST' });
+  };
+}
@@ -0,0 +1,51 @@
+import multer from 'multer';
+import path from 'path';
+import fs from 'fs';
+import { nanoid } from 'nanoid';
+
+// ============ Uploads Directory ============
+export const DATA_DIR = path.join(process.cwd(), 'data');
+// Served publicly at /api/uploads (menu images, receipts)
+export const UPLOADS_DIR = path.join(DATA_DIR, 'uploads');
+// Payment proofs — never served statically, only through an authorized route
+export const PROOFS_DIR = path.join(DATA_DIR, 'proofs');
+
+// Ensure uploads directories exist
+[DATA_DIR, UPLOADS_DIR, PROOFS_DIR].forEach(dir => {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+});
+
+// ============ Multer Setup ============
+
+/**
+ * Multer instance for image uploads into `dir`, named `<prefix>-<id>.<ext>`.
+ */
+export function imageUpload(prefix, dir = UPLOADS_DIR) {
+  const storage = multer.diskStorage({
+    destination: (req, file, cb) => cb(null, dir),
+    filename: (req, file, cb) => {
+      const ext = path.extname(file.originalname);
+      cb(null, `${prefix}-${nanoid(8)}${ext}`);
+    }
+  });
+
+  return multer({
+    storage,
+    limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
+    fileFilter: (req, file, cb) => {
+      const allowed = /jpeg|jpg|png|webp/;
+      const extOk = allowed.test(path.extname(file.originalname).toLowerCase());
+      const mimeOk = allowed.test(file.mimetype.split('/')[1]);
+      cb(null, extOk && mimeOk);
+    }
+  });
+}
+
+/**
+ * Remove a previously uploaded file, ignoring ones that are already gone.
+ */
+export function removeUpload(filename, dir = UPLOADS_DIR) {
+  if (!filename) return;
+  const filePath = path.join(dir, path.basename(filename));
+  if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+}
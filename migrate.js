@@ -3,6 +3,7 @@ import mongoose from 'mongoose';
 import fs from 'fs';
 import path from 'path';
 import Restaurant from './models/Restaurant.js';
+import { toPiastres } from './services/money.js';
 
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/breakfast-ordering';
 const DATA_FILE = path.join(process.cwd(), 'data', 'restaurants.json');
@@ -39,7 +40,11 @@ async function migrate() {
       googleMapsUrl: r.googleMapsUrl || '',
       phone: r.phone || '',
       menuImages: r.menuImages || [],
-      menuItems: r.menuItems || [],
+      // restaurants.json prices are in EGP
+      menuItems: (r.menuItems || []).map(item => ({
+        ...item,
+        variants: (item.variants || []).map(v => ({ ...v, price: toPiastres(v.price) })),
+      })),
       createdAt: r.createdAt ? new Date(r.createdAt) : new Date(),
     });
     console.log(`  ✅ Migrated "${r.name}" (${r.menuItems?.length || 0} menu items)`);
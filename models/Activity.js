@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+const changeSchema = new mongoose.Schema({
+  path: { type: String, required: true },
+  before: { type: mongoose.Schema.Types.Mixed, default: null },
+  after: { type: mongoose.Schema.Types.Mixed, default: null },
+}, { _id: false });
+
+// One audit entry per session mutation
+const activitySchema = new mongoose.Schema({
+  sessionId: { type: String, required: true, index: true },
+  actor: {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    guestId: { type: String, default: null },
+    name: { type: String, default: null }, // null = system (scheduler)
+  },
+  action: { type: String, required: true },
+  orderId: { type: String, default: null },
+  before: { type: mongoose.Schema.Types.Mixed, default: null },
+  after: { type: mongoose.Schema.Types.Mixed, default: null },
+  diff: [changeSchema],
+  createdAt: { type: Date, default: Date.now },
+});
+
+activitySchema.index({ sessionId: 1, createdAt: -1 });
+
+const Activity = mongoose.model('Activity', activitySchema);
+export default Activity;
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+const favoriteModifierSchema = new mongoose.Schema({
+  groupId: { type: String, required: true },
+  optionId: { type: String, required: true },
+  label: { type: String, required: true, trim: true },
+  price: { type: Number, default: 0 }, // piastres, when saved
+}, { _id: false });
+
+const favoriteItemSchema = new mongoose.Schema({
+  menuItemId: { type: String, required: true },
+  variant: { type: String, required: true },
+  // Name and price as they were when the preset was saved, to spot menu changes
+  name: { type: String, required: true, trim: true },
+  price: { type: Number, required: true }, // piastres
+  quantity: { type: Number, required: true, default: 1 },
+  modifiers: [favoriteModifierSchema],
+  note: { type: String, default: '', trim: true, maxlength: 200 },
+}, { _id: false });
+
+// A named order preset ("my light breakfast") for one restaurant
+const favoriteOrderSchema = new mongoose.Schema({
+  favoriteId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  restaurantId: { type: String, required: true, index: true },
+  name: { type: String, required: true, trim: true },
+  items: [favoriteItemSchema],
+  // Set when the restaurant's menu changed under the preset (see services/favorites.js)
+  stale: { type: Boolean, default: false },
+  staleReasons: [String],
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+favoriteOrderSchema.index({ user: 1, restaurantId: 1, name: 1 }, { unique: true });
+
+const FavoriteOrder = mongoose.model('FavoriteOrder', favoriteOrderSchema);
+export default FavoriteOrder;
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+// One debt between two users: from a settled session, or from a team simplification
+const ledgerEntrySchema = new mongoose.Schema({
+  debtor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  debtorName: { type: String, required: true, trim: true },
+  creditor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  creditorName: { type: String, required: true, trim: true },
+  amount: { type: Number, required: true, min: 1 }, // piastres
+  source: { type: String, enum: ['session', 'simplification'], default: 'session' },
+  sessionId: { type: String, default: null },
+  orderId: { type: String, default: null },
+  team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team', default: null },
+  status: { type: String, enum: ['open', 'settled'], default: 'open' },
+  // Entries settled together share a settlement id
+  settlementId: { type: String, default: null },
+  settledBy: { type: String, default: null },
+  settledAt: { type: Date, default: null },
+  // For simplification entries: the settlement id of the debts they replace
+  simplifiedFrom: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+ledgerEntrySchema.index({ debtor: 1, status: 1 });
+ledgerEntrySchema.index({ creditor: 1, status: 1 });
+// A session order is recorded at most once
+ledgerEntrySchema.index(
+  { sessionId: 1, orderId: 1 },
+  { unique: true, partialFilterExpression: { source: 'session' } }
+);
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+export default LedgerEntry;
@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+// Typed payment method, embedded in User (saved methods) and Session (host's
+// snapshot) — no collection of its own. Validated in services/paymentMethods.js.
+export const paymentMethodSchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  type: {
+    type: String,
+    enum: ['instapay', 'wallet', 'bank', 'cash'],
+    required: true,
+  },
+  label: { type: String, default: '', trim: true },
+  // instapay: handle ("name@instapay") and/or mobile number; wallet: mobile number
+  handle: { type: String, default: null, trim: true },
+  phone: { type: String, default: null, trim: true },
+  // instapay: the user's own ipn.eg payment link, if they have one
+  link: { type: String, default: null, trim: true },
+  // wallet: vodafone-cash | etisalat-cash | orange-cash | we-pay | other
+  provider: { type: String, default: null },
+  // bank
+  iban: { type: String, default: null, trim: true },
+  bankName: { type: String, default: null, trim: true },
+  accountName: { type: String, default: null, trim: true },
+  isDefault: { type: Boolean, default: false },
+}, { _id: false });
@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+const pollOptionSchema = new mongoose.Schema({
+  restaurantId: { type: String, required: true },
+  name: { type: String, required: true, trim: true },
+}, { _id: false });
+
+const voteSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true, trim: true },
+  // Restaurant ids, most preferred first; a single entry in single-choice polls
+  ranking: { type: [String], required: true },
+  at: { type: Date, default: Date.now },
+}, { _id: false });
+
+// "Where do we order from?" — closes into a session with the winning restaurant
+const pollSchema = new mongoose.Schema({
+  pollId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  host: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  hostName: { type: String, required: true, trim: true },
+  team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team', default: null, index: true },
+  title: { type: String, default: '', trim: true },
+  // single: one pick per voter; ranked: instant-runoff over full rankings
+  mode: { type: String, enum: ['single', 'ranked'], default: 'single' },
+  options: [pollOptionSchema],
+  votes: [voteSchema],
+  closesAt: { type: Date, required: true },
+  status: { type: String, enum: ['open', 'closed', 'cancelled'], default: 'open' },
+  // Used for the session opened with the winner (host's defaults at poll creation)
+  sessionDefaults: {
+    hostPaymentInfo: { type: String, required: true, trim: true },
+    deliveryFee: { type: Number, default: 0 }, // piastres
+    deadlineMinutes: { type: Number, default: 60 },
+    allowCustomItems: { type: Boolean, default: false },
+  },
+  result: {
+    winner: { type: String, default: null }, // restaurantId
+    rounds: { type: mongoose.Schema.Types.Mixed, default: null },
+    closedAt: { type: Date, default: null },
+  },
+  sessionId: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+pollSchema.index({ status: 1, closesAt: 1 });
+
+const Poll = mongoose.model('Poll', pollSchema);
+export default Poll;
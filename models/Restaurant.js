@@ -1,8 +1,15 @@
 import mongoose from 'mongoose';
 
+// Sold-out flag shared by items and variants (see services/availability.js)
+const soldOutFields = {
+  soldOut: { type: Boolean, default: false },
+  soldOutUntil: { type: Date, default: null }, // null = until switched back on
+};
+
 const variantSchema = new mongoose.Schema({
   label: { type: String, default: 'default', trim: true },
-  price: { type: Number, default: 0 },
+  price: { type: Number, default: 0 }, // piastres
+  ...soldOutFields,
 }, { _id: false });
 
 const menuItemSchema = new mongoose.Schema({
@@ -10,6 +17,24 @@ const menuItemSchema = new mongoose.Schema({
   name: { type: String, required: true, trim: true },
   category: { type: String, default: 'Uncategorized', trim: true },
   variants: [variantSchema],
+  ...soldOutFields,
+}, { _id: false });
+
+const addonOptionSchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  label: { type: String, required: true, trim: true },
+  price: { type: Number, default: 0 }, // piastres
+}, { _id: false });
+
+// Add-on group (إضافات) — e.g. "extra tahini", "بيض على الفول"
+const addonGroupSchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  name: { type: String, required: true, trim: true },
+  minSelect: { type: Number, default: 0 },
+  maxSelect: { type: Number, default: 0 }, // 0 = no limit
+  // Menu categories this group applies to — empty means every item
+  appliesTo: [String],
+  options: [addonOptionSchema],
 }, { _id: false });
 
 const restaurantSchema = new mongoose.Schema({
@@ -20,13 +45,31 @@ const restaurantSchema = new mongoose.Schema({
     index: true,
   },
   name: { type: String, required: true, trim: true },
+  // Owning team — null means the shared catalog visible to everyone
+  team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team', default: null },
   address: { type: String, default: '', trim: true },
   googleMapsUrl: { type: String, default: '', trim: true },
   phone: { type: String, default: '', trim: true },
   menuImages: [String],
   menuItems: [menuItemSchema],
+  addonGroups: [addonGroupSchema],
+  // 1 = prices in EGP floats (legacy), 2 = integer piastres (see services/moneyMigration.js)
+  moneyVersion: { type: Number, default: 2 },
   createdAt: { type: Date, default: Date.now },
 });
 
+/**
+ * A restaurant that a session or template of `teamId` may use: one from the
+ * shared catalog or the team's own. Returns { restaurant } or { error, status }.
+ */
+restaurantSchema.statics.findForTeam = async function (restaurantId, teamId = null) {
+  const restaurant = await this.findOne({ id: restaurantId });
+  if (!restaurant) return { error: 'Restaurant not found', status: 404 };
+  if (restaurant.team && restaurant.team.toString() !== teamId?.toString()) {
+    return { error: 'This restaurant belongs to another team', status: 400 };
+  }
+  return { restaurant };
+};
+
 const Restaurant = mongoose.model('Restaurant', restaurantSchema);
 export default Restaurant;
@@ -1,10 +1,35 @@
 import mongoose from 'mongoose';
+import { nanoid } from 'nanoid';
+import { paymentMethodSchema } from './PaymentMethod.js';
+
+const modifierSchema = new mongoose.Schema({
+  groupId: { type: String, required: true },
+  optionId: { type: String, required: true },
+  label: { type: String, required: true, trim: true },
+  // Price snapshot of the add-on option (piastres)
+  price: { type: Number, default: 0 },
+}, { _id: false });
 
 const orderItemSchema = new mongoose.Schema({
   name: { type: String, required: true, trim: true },
+  // Menu reference — null for free-text (custom) items
+  menuItemId: { type: String, default: null },
+  variant: { type: String, default: null },
+  // Price snapshot taken from the menu when the order was placed (piastres)
   price: { type: Number, required: true },
   quantity: { type: Number, required: true, default: 1 },
+  modifiers: [modifierSchema],
+  note: { type: String, default: '', trim: true, maxlength: 200 },
   unavailable: { type: Boolean, default: false },
+  // Flagged unavailable because the menu item was marked sold out (cleared when it's back)
+  soldOut: { type: Boolean, default: false },
+}, { _id: false });
+
+// Screenshot and/or reference number attached to a transfer
+const paymentProofSchema = new mongoose.Schema({
+  image: { type: String, default: null }, // filename in data/proofs (not publicly served)
+  reference: { type: String, default: null, trim: true, maxlength: 100 },
+  uploadedAt: { type: Date, default: Date.now },
 }, { _id: false });
 
 const paymentSchema = new mongoose.Schema({
@@ -21,9 +46,37 @@ const paymentSchema = new mongoose.Schema({
   paidBy: { type: String, default: null, trim: true },
   confirmedByHost: { type: Boolean, default: false },
   paidAt: { type: Date, default: null },
+  proof: { type: paymentProofSchema, default: null },
+  // Last proof the host rejected
+  rejection: {
+    type: new mongoose.Schema({
+      reason: { type: String, required: true, trim: true },
+      by: { type: String, default: null },
+      at: { type: Date, default: Date.now },
+    }, { _id: false }),
+    default: null,
+  },
 }, { _id: false });
 
+// Proofs are only readable by the host and the payer (GET …/orders/:orderId/proof);
+// public session payloads just say whether one is attached
+paymentSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    if (ret.proof) {
+      ret.proof = { attached: true, hasImage: !!ret.proof.image, uploadedAt: ret.proof.uploadedAt };
+    }
+    return ret;
+  },
+});
+
 const orderSchema = new mongoose.Schema({
+  orderId: { type: String, default: () => nanoid(10) },
+  // Who placed the order
+  orderedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  orderedByName: { type: String, default: null, trim: true },
+  // Set for orders placed with a guest token; kept so the guest can claim them later
+  guestId: { type: String, default: null },
+  // Who the order is for — an account (user) or a free-text name
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   participantName: { type: String, required: true, trim: true },
   items: [orderItemSchema],
@@ -31,6 +84,57 @@ const orderSchema = new mongoose.Schema({
   // DEPRECATED — kept for backward compat migration
   paymentSent: { type: Boolean, default: false },
   submittedAt: { type: Date, default: Date.now },
+  // Set when an item sold out: the participant may edit until then, even once locked
+  substituteBy: { type: Date, default: null },
+}, { _id: false });
+
+const statusChangeSchema = new mongoose.Schema({
+  from: { type: String, required: true },
+  to: { type: String, required: true },
+  by: { type: String, default: null }, // null = scheduler
+  at: { type: Date, default: Date.now },
+}, { _id: false });
+
+// How extras are computed and shared (see services/costs.js)
+const costSettingsSchema = new mongoose.Schema({
+  // equal | proportional (to items total) | exclude-treated | host-absorbs
+  splitMode: {
+    type: String,
+    enum: ['equal', 'proportional', 'exclude-treated', 'host-absorbs'],
+    default: 'equal',
+  },
+  serviceChargePercent: { type: Number, default: 0, min: 0 },
+  vatPercent: { type: Number, default: 0, min: 0 },
+  tip: { type: Number, default: 0, min: 0 }, // piastres, shared like the delivery fee
+  discount: {
+    type: { type: String, enum: ['fixed', 'percent'], default: 'fixed' },
+    value: { type: Number, default: 0, min: 0 }, // piastres when fixed
+  },
+  // Per-person totals are rounded to multiples of this (piastres; 50 = nearest half pound)
+  roundTo: { type: Number, default: 1, min: 1 },
+}, { _id: false });
+
+// Spending limits set by the host (see services/budget.js); null = no limit
+const budgetSchema = new mongoose.Schema({
+  perPerson: { type: Number, default: null, min: 0 }, // piastres, across a person's orders
+  total: { type: Number, default: null, min: 0 }, // piastres, the whole session
+  // reject: orders over a limit are refused; warn: accepted with a warning
+  enforcement: { type: String, enum: ['reject', 'warn'], default: 'reject' },
+}, { _id: false });
+
+// The restaurant's actual bill, entered by the host after ordering
+const reconciliationSchema = new mongoose.Schema({
+  actualTotal: { type: Number, required: true, min: 0 }, // piastres
+  // How the difference to the computed bill is shared
+  rule: { type: String, enum: ['proportional', 'equal', 'host-absorbs'], default: 'proportional' },
+  receiptImage: { type: String, default: null }, // filename in data/uploads
+  by: { type: String, default: null },
+  at: { type: Date, default: Date.now },
+}, { _id: false });
+
+const coHostSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true, trim: true },
 }, { _id: false });
 
 const sessionSchema = new mongoose.Schema({
@@ -46,21 +150,40 @@ const sessionSchema = new mongoose.Schema({
     required: true,
   },
   hostName: { type: String, required: true, trim: true },
+  team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team', default: null, index: true },
+  // Co-hosts can manage the session like the host, except for managing co-hosts
+  coHosts: [coHostSchema],
   hostPaymentInfo: { type: String, required: true, trim: true },
-  deliveryFee: { type: Number, required: true, default: 0 },
+  // Snapshot of the host's payment methods chosen when the session was opened
+  hostPaymentMethods: [paymentMethodSchema],
+  deliveryFee: { type: Number, required: true, default: 0 }, // piastres
   deadline: { type: Date, default: null },
   restaurantId: { type: String, default: null },
+  // Recurring template this session was opened from (see models/SessionTemplate.js)
+  templateId: { type: String, default: null },
+  // Allow free-text items even when the session has a restaurant menu
+  allowCustomItems: { type: Boolean, default: false },
+  costSettings: { type: costSettingsSchema, default: () => ({}) },
+  reconciliation: { type: reconciliationSchema, default: null },
+  budget: { type: budgetSchema, default: null },
+  // Lifecycle: open → locked → ordered → delivered → settled (see services/sessionLifecycle.js)
   status: {
     type: String,
-    enum: ['active', 'closed'],
-    default: 'active',
+    enum: ['open', 'locked', 'ordered', 'delivered', 'settled'],
+    default: 'open',
   },
-  orders: [orderSchema],
-  createdAt: {
-    type: Date,
-    default: Date.now,
-    index: { expires: 172800 }, // TTL: 48 hours
+  statusHistory: [statusChangeSchema],
+  // Deadline reminders to usual participants who haven't ordered yet
+  reminders: {
+    enabled: { type: Boolean, default: true },
+    minutesBefore: { type: [Number], default: () => [10, 2] },
+    sent: { type: [Number], default: () => [] },
   },
+  orders: [orderSchema],
+  // 1 = amounts in EGP floats (legacy), 2 = integer piastres (see services/moneyMigration.js)
+  moneyVersion: { type: Number, default: 2 },
+  // Moved to SessionArchive 48 hours after creation (see services/sessionArchive.js)
+  createdAt: { type: Date, default: Date.now },
 });
 
 const Session = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+const archivedModifierSchema = new mongoose.Schema({
+  groupId: { type: String, default: null },
+  optionId: { type: String, default: null },
+  label: { type: String, required: true },
+  price: { type: Number, default: 0 }, // piastres
+}, { _id: false });
+
+const archivedItemSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  menuItemId: { type: String, default: null },
+  variant: { type: String, default: null },
+  quantity: { type: Number, default: 1 },
+  modifiers: [archivedModifierSchema],
+  note: { type: String, default: '' },
+  price: { type: Number, default: 0 }, // piastres, per unit before add-ons
+  lineTotal: { type: Number, default: 0 }, // piastres
+}, { _id: false });
+
+const archivedOrderSchema = new mongoose.Schema({
+  orderId: { type: String, required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  orderedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  guestId: { type: String, default: null },
+  participantName: { type: String, required: true },
+  items: [archivedItemSchema],
+  // Final per-person costs (piastres), as computed by services/costs.js
+  itemsTotal: { type: Number, default: 0 },
+  total: { type: Number, default: 0 },
+  payment: {
+    status: { type: String, default: 'pending' },
+    method: { type: String, default: 'transfer' },
+    confirmedByHost: { type: Boolean, default: false },
+    paidAt: { type: Date, default: null },
+    reference: { type: String, default: null },
+  },
+  submittedAt: { type: Date, default: null },
+}, { _id: false });
+
+// Compact, read-only copy of a session once it leaves the live collection
+// (see services/sessionArchive.js). Removed after the retention period.
+const sessionArchiveSchema = new mongoose.Schema({
+  sessionId: { type: String, required: true, unique: true },
+  host: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  hostName: { type: String, required: true },
+  team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team', default: null, index: true },
+  restaurantId: { type: String, default: null },
+  restaurantName: { type: String, default: null },
+  templateId: { type: String, default: null },
+  // Status the session ended in — not necessarily settled
+  status: { type: String, required: true },
+  deliveryFee: { type: Number, default: 0 }, // piastres
+  costs: { type: mongoose.Schema.Types.Mixed, default: null }, // costSummary()
+  orders: [archivedOrderSchema],
+  // Everyone who should see this session in their history: host, order owners and placers
+  participants: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  createdAt: { type: Date, required: true },
+  closedAt: { type: Date, default: null },
+  archivedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true, index: { expires: 0 } }, // TTL: retention
+});
+
+sessionArchiveSchema.index({ participants: 1, createdAt: -1 });
+
+const SessionArchive = mongoose.model('SessionArchive', sessionArchiveSchema);
+export default SessionArchive;
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+const recurrenceSchema = new mongoose.Schema({
+  // 0 = Sunday … 6 = Saturday, in the template's timezone
+  weekdays: { type: [Number], required: true },
+  time: { type: String, required: true }, // "HH:mm"
+  timezone: { type: String, default: 'Africa/Cairo' },
+}, { _id: false });
+
+const sessionTemplateSchema = new mongoose.Schema({
+  templateId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  host: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  hostName: { type: String, required: true, trim: true },
+  team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team', default: null },
+  name: { type: String, default: '', trim: true },
+  restaurantId: { type: String, default: null },
+  hostPaymentInfo: { type: String, required: true, trim: true },
+  deliveryFee: { type: Number, required: true, default: 0 }, // piastres
+  deadlineMinutes: { type: Number, default: 60 },
+  allowCustomItems: { type: Boolean, default: false },
+  recurrence: { type: recurrenceSchema, required: true },
+  paused: { type: Boolean, default: false },
+  // Local dates ("YYYY-MM-DD") of occurrences the host skipped
+  skipDates: [String],
+  nextRunAt: { type: Date, default: null, index: true },
+  lastRunAt: { type: Date, default: null },
+  lastSessionId: { type: String, default: null },
+  // 1 = amounts in EGP floats (legacy), 2 = integer piastres (see services/moneyMigration.js)
+  moneyVersion: { type: Number, default: 2 },
+  createdAt: { type: Date, default: Date.now },
+});
+
+const SessionTemplate = mongoose.model('SessionTemplate', sessionTemplateSchema);
+export default SessionTemplate;
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+const memberSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true, trim: true },
+  role: {
+    type: String,
+    enum: ['owner', 'admin', 'member'],
+    default: 'member',
+  },
+  joinedAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+const teamSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  inviteCode: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  members: [memberSchema],
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+}, {
+  timestamps: true,
+});
+
+teamSchema.index({ 'members.user': 1 });
+
+// Role of a user in this team, or null if not a member
+teamSchema.methods.roleOf = function (userId) {
+  const member = this.members.find(m => m.user.toString() === userId?.toString());
+  return member ? member.role : null;
+};
+
+// Ids of all teams a user belongs to
+teamSchema.statics.idsForUser = async function (userId) {
+  const teams = await this.find({ 'members.user': userId }, '_id').lean();
+  return teams.map(t => t._id);
+};
+
+const Team = mongoose.model('Team', teamSchema);
+export default Team;
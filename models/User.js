@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { paymentMethodSchema } from './PaymentMethod.js';
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -24,6 +25,8 @@ const userSchema = new mongoose.Schema({
     default: '',
     trim: true,
   },
+  // Typed methods (InstaPay, wallet, IBAN, cash); exactly one is the default
+  paymentMethods: [paymentMethodSchema],
   otp: { type: String, default: null },
   otpExpiresAt: { type: Date, default: null },
   isVerified: { type: Boolean, default: false },
@@ -1,52 +1,105 @@
 import express from 'express';
-import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
 import { nanoid } from 'nanoid';
 import { extractMenuFromImage, extractMenuFromUrls, extractMenuFromBase64 } from './menuExtractor.js';
+import mongoose from 'mongoose';
 import Restaurant from './models/Restaurant.js';
+import Team from './models/Team.js';
+import { optionalAuth } from './middleware/auth.js';
+import { legacyMoney } from './middleware/moneyVersion.js';
+import { UPLOADS_DIR, imageUpload } from './middleware/upload.js';
+import { toPiastres, withUnitHint } from './services/money.js';
+import { flagStaleFavorites } from './services/favorites.js';
+import { parseAvailability, setSoldOut, propagateAvailability } from './services/availability.js';
 
 const router = express.Router();
 
-// ============ Uploads Directory ============
-const DATA_DIR = path.join(process.cwd(), 'data');
-const UPLOADS_DIR = path.join(DATA_DIR, 'uploads');
+const upload = imageUpload('menu');
 
-// Ensure uploads directory exists
-[DATA_DIR, UPLOADS_DIR].forEach(dir => {
-  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-});
+// ============ Add-on Helpers ============
 
-// ============ Multer Setup ============
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, UPLOADS_DIR),
-  filename: (req, file, cb) => {
-    const ext = path.extname(file.originalname);
-    cb(null, `menu-${nanoid(8)}${ext}`);
-  }
-});
+// Section headers like "إضافات" / "الاضافات" / "إضافة"
+const ADDON_CATEGORY = /^(ال)?[اأإ]ضاف/;
 
-const upload = multer({
-  storage,
-  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
-  fileFilter: (req, file, cb) => {
-    const allowed = /jpeg|jpg|png|webp/;
-    const extOk = allowed.test(path.extname(file.originalname).toLowerCase());
-    const mimeOk = allowed.test(file.mimetype.split('/')[1]);
-    cb(null, extOk && mimeOk);
+/**
+ * Split extracted items into regular menu items and add-on groups.
+ * Each إضافات section becomes one optional group that applies to every item;
+ * multi-variant add-ons become one option per variant.
+ */
+function splitAddonGroups(items) {
+  const menuItems = [];
+  const groups = new Map();
+
+  for (const item of items) {
+    if (!ADDON_CATEGORY.test(item.category)) {
+      menuItems.push(item);
+      continue;
+    }
+    if (!groups.has(item.category)) {
+      groups.set(item.category, {
+        id: nanoid(6),
+        name: item.category,
+        minSelect: 0,
+        maxSelect: 0,
+        appliesTo: [],
+        options: [],
+      });
+    }
+    const group = groups.get(item.category);
+    const variants = item.variants.length ? item.variants : [{ label: 'default', price: 0 }];
+    for (const v of variants) {
+      group.options.push({
+        id: nanoid(6),
+        label: v.label === 'default' || variants.length === 1 ? item.name : `${item.name} (${v.label})`,
+        price: v.price,
+      });
+    }
   }
-});
+
+  return { items: menuItems, addonGroups: [...groups.values()] };
+}
+
+/**
+ * First price that isn't whole piastres (e.g. 12.5 sent as EGP) — refused
+ * rather than rounded to the wrong amount. Missing prices are fine.
+ */
+function fractionalPrice(prices) {
+  return prices.find(p => p !== undefined && p !== null && p !== '' && !Number.isInteger(Number(p)));
+}
+
+const priceError = price => ({ error: withUnitHint('Prices must be whole piastres', price) });
+
+function sanitizeAddonGroups(groups) {
+  return groups.map(g => ({
+    id: g.id || nanoid(6),
+    name: (g.name || '').trim(),
+    minSelect: Math.max(0, parseInt(g.minSelect) || 0),
+    maxSelect: Math.max(0, parseInt(g.maxSelect) || 0),
+    appliesTo: (g.appliesTo || []).map(c => String(c).trim()).filter(Boolean),
+    options: (g.options || []).map(o => ({
+      id: o.id || nanoid(6),
+      label: (o.label || '').trim(),
+      price: Math.max(0, Math.round(Number(o.price)) || 0), // piastres
+    })).filter(o => o.label),
+  })).filter(g => g.name && g.options.length > 0);
+}
 
 // ============ Public Routes ============
 
-// List all restaurants (for host dropdown)
-router.get('/api/restaurants', async (req, res) => {
+// List restaurants for the host dropdown: the shared catalog plus my teams' restaurants
+router.get('/api/restaurants', optionalAuth, async (req, res) => {
   try {
-    const restaurants = await Restaurant.find({}, 'id name address menuItems').lean();
+    const teamIds = req.user ? await Team.idsForUser(req.user.id) : [];
+    const restaurants = await Restaurant.find(
+      { $or: [{ team: null }, { team: { $in: teamIds } }] },
+      'id name address team menuItems'
+    ).lean();
     res.json(restaurants.map(r => ({
       id: r.id,
       name: r.name,
       address: r.address,
+      team: r.team || null,
       menuItemCount: r.menuItems?.length || 0
     })));
   } catch (err) {
@@ -80,15 +133,23 @@ router.get('/api/admin/restaurants', async (req, res) => {
   }
 });
 
-// Create restaurant
-router.post('/api/admin/restaurants', async (req, res) => {
+// Create restaurant (optionally owned by a team the caller belongs to)
+router.post('/api/admin/restaurants', optionalAuth, async (req, res) => {
   try {
-    const { name, address, googleMapsUrl, phone } = req.body;
+    const { name, address, googleMapsUrl, phone, teamId } = req.body;
     if (!name?.trim()) return res.status(400).json({ error: 'Restaurant name is required' });
 
+    let team = null;
+    if (teamId) {
+      if (!req.user) return res.status(401).json({ error: 'Authentication required' });
+      team = mongoose.isValidObjectId(teamId) ? await Team.findById(teamId) : null;
+      if (!team || !team.roleOf(req.user.id)) return res.status(404).json({ error: 'Team not found' });
+    }
+
     const restaurant = await Restaurant.create({
       id: nanoid(8),
       name: name.trim(),
+      team: team?._id || null,
       address: (address || '').trim(),
       googleMapsUrl: (googleMapsUrl || '').trim(),
       phone: (phone || '').trim(),
@@ -192,9 +253,10 @@ router.post('/api/admin/restaurants/:id/extract-menu', async (req, res) => {
   if (!fs.existsSync(imgPath)) return res.status(404).json({ error: 'Image file not found' });
 
   try {
-    const items = await extractMenuFromImage(imgPath);
+    const extracted = await extractMenuFromImage(imgPath);
+    const { items, addonGroups } = splitAddonGroups(extracted);
     const itemsWithIds = items.map(item => ({ ...item, id: nanoid(6) }));
-    res.json({ items: itemsWithIds });
+    res.json({ items: itemsWithIds, addonGroups });
   } catch (err) {
     console.error('Menu extraction error:', err);
     res.status(500).json({ error: 'Failed to extract menu: ' + err.message });
@@ -213,8 +275,9 @@ router.post('/api/admin/restaurants/:id/extract-menu-from-urls', async (req, res
 
   try {
     const result = await extractMenuFromUrls(photoUrls);
-    const itemsWithIds = result.items.map(item => ({ ...item, id: nanoid(6) }));
-    res.json({ items: itemsWithIds, source: result.source });
+    const { items, addonGroups } = splitAddonGroups(result.items);
+    const itemsWithIds = items.map(item => ({ ...item, id: nanoid(6) }));
+    res.json({ items: itemsWithIds, addonGroups, source: result.source });
   } catch (err) {
     console.error('URL menu extraction error:', err);
     res.status(500).json({ error: 'Failed to extract menu: ' + err.message });
@@ -233,8 +296,9 @@ router.post('/api/admin/restaurants/:id/extract-menu-from-photos', async (req, r
 
   try {
     const result = await extractMenuFromBase64(images);
-    const itemsWithIds = result.items.map(item => ({ ...item, id: nanoid(6) }));
-    res.json({ items: itemsWithIds, source: result.source });
+    const { items, addonGroups } = splitAddonGroups(result.items);
+    const itemsWithIds = items.map(item => ({ ...item, id: nanoid(6) }));
+    res.json({ items: itemsWithIds, addonGroups, source: result.source });
   } catch (err) {
     console.error('Photo menu extraction error:', err);
     res.status(500).json({ error: 'Failed to extract menu: ' + err.message });
@@ -289,7 +353,7 @@ router.post('/api/admin/restaurants/:id/fetch-google-menu', async (req, res) =>
           if (price) {
             variants.push({
               label: 'default',
-              price: parseFloat(price.units || 0) + parseFloat(price.nanos || 0) / 1e9
+              price: toPiastres(parseFloat(price.units || 0) + parseFloat(price.nanos || 0) / 1e9)
             });
           }
           const options = item.options || item.menuItemOptions || [];
@@ -299,7 +363,7 @@ router.post('/api/admin/restaurants/:id/fetch-google-menu', async (req, res) =>
             if (optPrice) {
               variants.push({
                 label: optName,
-                price: parseFloat(optPrice.units || 0) + parseFloat(optPrice.nanos || 0) / 1e9
+                price: toPiastres(parseFloat(optPrice.units || 0) + parseFloat(optPrice.nanos || 0) / 1e9)
               });
             }
           }
@@ -331,26 +395,42 @@ router.post('/api/admin/restaurants/:id/fetch-google-menu', async (req, res) =>
 });
 
 // Save menu items (replaces entire menu)
-router.put('/api/admin/restaurants/:id/menu-items', async (req, res) => {
+router.put('/api/admin/restaurants/:id/menu-items', legacyMoney('items[].variants[].price'), async (req, res) => {
   try {
     const restaurant = await Restaurant.findOne({ id: req.params.id });
     if (!restaurant) return res.status(404).json({ error: 'Restaurant not found' });
 
     const { items } = req.body;
     if (!Array.isArray(items)) return res.status(400).json({ error: 'items must be an array' });
-
-    restaurant.menuItems = items.map(item => ({
-      id: item.id || nanoid(6),
-      name: (item.name || '').trim(),
-      category: (item.category || 'Uncategorized').trim(),
-      variants: (item.variants || []).map(v => ({
-        label: (v.label || 'default').trim(),
-        price: Number(v.price) || 0
-      })).filter(v => v.price > 0)
-    })).filter(item => item.name && item.variants.length > 0);
+    const badPrice = fractionalPrice(items.flatMap(item => (item?.variants || []).map(v => v?.price)));
+    if (badPrice !== undefined) return res.status(400).json(priceError(badPrice));
+
+    // Sold-out flags only change through the availability route: carry the stored ones over
+    const previous = new Map((restaurant.menuItems || []).map(m => [m.id, m]));
+    const soldOutOf = entry => ({ soldOut: !!entry?.soldOut, soldOutUntil: entry?.soldOutUntil || null });
+    restaurant.menuItems = items.map(item => {
+      const stored = item.id ? previous.get(item.id) : null;
+      return {
+        id: item.id || nanoid(6),
+        name: (item.name || '').trim(),
+        category: (item.category || 'Uncategorized').trim(),
+        variants: (item.variants || []).map(v => {
+          const label = (v.label || 'default').trim();
+          return {
+            label,
+            price: Math.round(Number(v.price)) || 0, // piastres
+            ...soldOutOf(stored?.variants.find(sv => sv.label === label)),
+          };
+        }).filter(v => v.price > 0),
+        ...soldOutOf(stored),
+      };
+    }).filter(item => item.name && item.variants.length > 0);
 
     await restaurant.save();
     res.json(restaurant.toObject());
+
+    // Saved favorites pointing at changed or removed items get flagged
+    flagStaleFavorites(restaurant).catch(err => console.error('Favorite staleness error:', err.message));
   } catch (err) {
     console.error('Save menu items error:', err);
     res.status(500).json({ error: 'Failed to save menu items' });
@@ -358,13 +438,15 @@ router.put('/api/admin/restaurants/:id/menu-items', async (req, res) => {
 });
 
 // Add single menu item
-router.post('/api/admin/restaurants/:id/menu-items', async (req, res) => {
+router.post('/api/admin/restaurants/:id/menu-items', legacyMoney('variants[].price'), async (req, res) => {
   try {
     const restaurant = await Restaurant.findOne({ id: req.params.id });
     if (!restaurant) return res.status(404).json({ error: 'Restaurant not found' });
 
     const { name, category, variants } = req.body;
     if (!name?.trim()) return res.status(400).json({ error: 'Item name is required' });
+    const badPrice = fractionalPrice((variants || []).map(v => v?.price));
+    if (badPrice !== undefined) return res.status(400).json(priceError(badPrice));
 
     const item = {
       id: nanoid(6),
@@ -372,7 +454,7 @@ router.post('/api/admin/restaurants/:id/menu-items', async (req, res) => {
       category: (category || 'Uncategorized').trim(),
       variants: (variants || [{ label: 'default', price: 0 }]).map(v => ({
         label: (v.label || 'default').trim(),
-        price: Number(v.price) || 0
+        price: Math.round(Number(v.price)) || 0 // piastres
       })).filter(v => v.price > 0)
     };
 
@@ -395,12 +477,63 @@ router.delete('/api/admin/restaurants/:id/menu-items/:itemId', async (req, res)
     restaurant.menuItems = (restaurant.menuItems || []).filter(i => i.id !== req.params.itemId);
     await restaurant.save();
     res.json({ success: true });
+
+    flagStaleFavorites(restaurant).catch(err => console.error('Favorite staleness error:', err.message));
   } catch (err) {
     console.error('Delete menu item error:', err);
     res.status(500).json({ error: 'Failed to delete menu item' });
   }
 });
 
+// Mark an item (or one size with `variant`) sold out for today or until further notice, or back on:
+// { soldOut, variant?, scope: 'today' | 'indefinite', timezone? }. Open and locked sessions follow.
+router.patch('/api/admin/restaurants/:id/menu-items/:itemId/availability', async (req, res) => {
+  try {
+    const restaurant = await Restaurant.findOne({ id: req.params.id });
+    if (!restaurant) return res.status(404).json({ error: 'Restaurant not found' });
+
+    const availability = parseAvailability(req.body);
+    if (availability.error) return res.status(400).json({ error: availability.error });
+    const { menuItem, error } = setSoldOut(restaurant, req.params.itemId, availability);
+    if (error) return res.status(404).json({ error });
+
+    await restaurant.save();
+    const affectedOrders = await propagateAvailability(restaurant);
+    res.json({ menuItem, affectedOrders });
+  } catch (err) {
+    console.error('Menu item availability error:', err);
+    res.status(500).json({ error: 'Failed to update availability' });
+  }
+});
+
+// Save add-on groups (replaces all groups)
+router.put('/api/admin/restaurants/:id/addon-groups', legacyMoney('groups[].options[].price'), async (req, res) => {
+  try {
+    const restaurant = await Restaurant.findOne({ id: req.params.id });
+    if (!restaurant) return res.status(404).json({ error: 'Restaurant not found' });
+
+    const { groups } = req.body;
+    if (!Array.isArray(groups)) return res.status(400).json({ error: 'groups must be an array' });
+    const badPrice = fractionalPrice(groups.flatMap(g => (g?.options || []).map(o => o?.price)));
+    if (badPrice !== undefined) return res.status(400).json(priceError(badPrice));
+
+    const sanitized = sanitizeAddonGroups(groups);
+    const invalid = sanitized.find(g => g.maxSelect > 0 && g.minSelect > g.maxSelect);
+    if (invalid) {
+      return res.status(400).json({ error: `"${invalid.name}": minSelect cannot exceed maxSelect` });
+    }
+
+    restaurant.addonGroups = sanitized;
+    await restaurant.save();
+    res.json(restaurant.toObject());
+
+    flagStaleFavorites(restaurant).catch(err => console.error('Favorite staleness error:', err.message));
+  } catch (err) {
+    console.error('Save addon groups error:', err);
+    res.status(500).json({ error: 'Failed to save add-on groups' });
+  }
+});
+
 // Serve uploaded images
 router.use('/api/uploads', express.static(UPLOADS_DIR));
 
@@ -2,7 +2,9 @@ import express from 'express';
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 import User from '../models/User.js';
-import { auth } from '../middleware/auth.js';
+import Session from '../models/Session.js';
+import SessionArchive from '../models/SessionArchive.js';
+import { auth, verifyGuestToken } from '../middleware/auth.js';
 import { sendOTPEmail } from '../services/email.js';
 
 const router = express.Router();
@@ -12,6 +14,8 @@ const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'dev-refresh-secret
 const ACCESS_TOKEN_EXPIRY = '15m';
 const REFRESH_TOKEN_EXPIRY = '7d';
 const OTP_EXPIRY_MINUTES = 10;
+// How long after a guest token expires its orders can still be claimed
+const GUEST_CLAIM_GRACE_SECONDS = 24 * 60 * 60;
 
 // Toggle OTP on/off — set to true to require email OTP verification
 const OTP_ENABLED = process.env.OTP_ENABLED === 'true';
@@ -46,6 +50,70 @@ function issueTokens(user) {
   return { accessToken, refreshToken };
 }
 
+/**
+ * Move orders placed with guest tokens onto a registered account.
+ * Invalid tokens, and ones expired for longer than GUEST_CLAIM_GRACE_SECONDS,
+ * are skipped; returns the number of orders claimed.
+ */
+async function claimGuestOrders(guestTokens, userId) {
+  let claimed = 0;
+  for (const token of guestTokens) {
+    let guest;
+    try {
+      guest = verifyGuestToken(token, { graceSeconds: GUEST_CLAIM_GRACE_SECONDS });
+    } catch {
+      continue;
+    }
+
+    const session = await Session.findOne({ sessionId: guest.sessionId });
+    if (!session) {
+      // Already archived — claim it there so it still shows up in history
+      const archived = await SessionArchive.findOne({ sessionId: guest.sessionId });
+      if (!archived) continue;
+      for (const order of archived.orders) {
+        if (order.guestId === guest.guestId && !order.user) {
+          order.user = userId;
+          order.orderedBy = userId;
+          claimed++;
+        }
+      }
+      archived.participants.addToSet(userId);
+      await archived.save();
+      continue;
+    }
+
+    for (const order of session.orders) {
+      if (order.guestId === guest.guestId && !order.user) {
+        order.user = userId;
+        order.orderedBy = userId;
+        claimed++;
+      }
+    }
+    await session.save();
+  }
+  return claimed;
+}
+
+/**
+ * Claim during signup / OTP verification: the account already exists by then,
+ * so a failed claim is logged and reported as nothing claimed.
+ */
+async function claimOnSignup(body, userId) {
+  try {
+    return await claimGuestOrders(guestTokensFrom(body), userId);
+  } catch (err) {
+    console.error('Claim guest orders on signup error:', err);
+    return 0;
+  }
+}
+
+function guestTokensFrom(body) {
+  const { guestToken, guestTokens } = body;
+  const tokens = Array.isArray(guestTokens) ? guestTokens : [];
+  if (guestToken) tokens.push(guestToken);
+  return tokens.filter(t => typeof t === 'string');
+}
+
 // ======================== SIGNUP ========================
 router.post('/signup', async (req, res) => {
   try {
@@ -103,10 +171,13 @@ router.post('/signup', async (req, res) => {
     const { accessToken, refreshToken } = issueTokens(user);
     await user.save();
 
+    const claimedOrders = await claimOnSignup(req.body, user._id);
+
     res.status(201).json({
       user: user.toJSON(),
       accessToken,
       refreshToken,
+      claimedOrders,
     });
   } catch (err) {
     console.error('Signup error:', err);
@@ -140,7 +211,9 @@ router.post('/verify-otp', async (req, res) => {
     const { accessToken, refreshToken } = issueTokens(user);
     await user.save();
 
-    res.json({ user: user.toJSON(), accessToken, refreshToken });
+    const claimedOrders = await claimOnSignup(req.body, user._id);
+
+    res.json({ user: user.toJSON(), accessToken, refreshToken, claimedOrders });
   } catch (err) {
     console.error('Verify OTP error:', err);
     res.status(500).json({ error: 'Verification failed' });
@@ -258,6 +331,20 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+// ======================== CLAIM GUEST ORDERS ========================
+router.post('/claim-guest', auth, async (req, res) => {
+  try {
+    const tokens = guestTokensFrom(req.body);
+    if (tokens.length === 0) return res.status(400).json({ error: 'guestToken is required' });
+
+    const claimedOrders = await claimGuestOrders(tokens, req.user.id);
+    res.json({ success: true, claimedOrders });
+  } catch (err) {
+    console.error('Claim guest orders error:', err);
+    res.status(500).json({ error: 'Failed to claim guest orders' });
+  }
+});
+
 // ======================== LOGOUT ========================
 router.post('/logout', auth, async (req, res) => {
   try {
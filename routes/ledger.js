@@ -0,0 +1,130 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Team from '../models/Team.js';
+import { auth } from '../middleware/auth.js';
+import {
+  balancesFor, openEntriesBetween, netFromEntries, settleEntries,
+  openEntriesAmong, simplifyDebts, applySimplification,
+} from '../services/ledger.js';
+import { sendPushToUser } from '../services/pushService.js';
+import { formatMoney } from '../services/money.js';
+
+const router = express.Router();
+
+const MANAGER_ROLES = ['owner', 'admin'];
+
+async function findMemberTeam(req, res) {
+  const team = mongoose.isValidObjectId(req.params.teamId) ? await Team.findById(req.params.teamId) : null;
+  if (!team || !team.roleOf(req.user.id)) {
+    res.status(404).json({ error: 'Team not found' });
+    return null;
+  }
+  return team;
+}
+
+// ======================== MY BALANCES ========================
+// Net balance with everyone — positive: they owe me, negative: I owe them
+router.get('/', auth, async (req, res) => {
+  try {
+    const balances = await balancesFor(req.user.id);
+    res.json({
+      balances,
+      owedToMe: balances.filter(b => b.net > 0).reduce((sum, b) => sum + b.net, 0),
+      iOwe: balances.filter(b => b.net < 0).reduce((sum, b) => sum - b.net, 0),
+    });
+  } catch (err) {
+    console.error('Ledger balances error:', err);
+    res.status(500).json({ error: 'Failed to fetch balances' });
+  }
+});
+
+// ======================== BETWEEN TWO USERS ========================
+router.get('/with/:userId', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.userId)) return res.status(404).json({ error: 'User not found' });
+
+    const entries = await openEntriesBetween(req.user.id, req.params.userId);
+    res.json({ net: netFromEntries(entries, req.user.id), entries });
+  } catch (err) {
+    console.error('Ledger balance error:', err);
+    res.status(500).json({ error: 'Failed to fetch balance' });
+  }
+});
+
+// Settle everything between us at once. Only the side that is owed money can
+// confirm it was paid, like the host confirming a session payment.
+router.post('/with/:userId/settle', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.userId)) return res.status(404).json({ error: 'User not found' });
+
+    const entries = await openEntriesBetween(req.user.id, req.params.userId);
+    if (entries.length === 0) return res.status(400).json({ error: 'Nothing to settle' });
+
+    const net = netFromEntries(entries, req.user.id);
+    if (net < 0) {
+      return res.status(403).json({ error: 'Only the person who is owed money can mark it as settled' });
+    }
+
+    const settlementId = await settleEntries(entries, req.user.name);
+    res.json({ success: true, settlementId, amount: net, entries: entries.length });
+
+    // Push notification → tell the other side they're square
+    sendPushToUser(req.params.userId, {
+      title: '🤝 All settled',
+      body: net > 0
+        ? `${req.user.name} confirmed your payment of ${formatMoney(net)} — you're square`
+        : `${req.user.name} cleared your breakfast balance — you're square`,
+      url: '/ledger',
+    }).catch(() => {});
+  } catch (err) {
+    console.error('Ledger settle error:', err);
+    res.status(500).json({ error: 'Failed to settle balance' });
+  }
+});
+
+// ======================== TEAM SIMPLIFICATION ========================
+// Preview: fewest transfers that clear all open debts between team members
+router.get('/teams/:teamId/simplify', auth, async (req, res) => {
+  try {
+    const team = await findMemberTeam(req, res);
+    if (!team) return;
+
+    const entries = await openEntriesAmong(team.members.map(m => m.user));
+    res.json({ debts: entries.length, transfers: simplifyDebts(entries) });
+  } catch (err) {
+    console.error('Ledger simplify error:', err);
+    res.status(500).json({ error: 'Failed to simplify debts' });
+  }
+});
+
+// Apply: replace the team's open debts with the simplified transfers (owners/admins)
+router.post('/teams/:teamId/simplify', auth, async (req, res) => {
+  try {
+    const team = await findMemberTeam(req, res);
+    if (!team) return;
+    if (!MANAGER_ROLES.includes(team.roleOf(req.user.id))) {
+      return res.status(403).json({ error: 'Only team owners and admins can do this' });
+    }
+
+    const entries = await openEntriesAmong(team.members.map(m => m.user));
+    if (entries.length === 0) return res.status(400).json({ error: 'No open debts in this team' });
+
+    const { settlementId, transfers } = await applySimplification(entries, team._id, req.user.name);
+    res.json({ success: true, settlementId, replaced: entries.length, transfers });
+
+    // Push notification → everyone who now pays someone new
+    for (const payerId of new Set(transfers.map(t => t.from))) {
+      const mine = transfers.filter(t => t.from === payerId);
+      sendPushToUser(payerId, {
+        title: '🔀 Debts simplified',
+        body: mine.map(t => `Pay ${t.toName} ${formatMoney(t.amount)}`).join(' · '),
+        url: '/ledger',
+      }).catch(() => {});
+    }
+  } catch (err) {
+    console.error('Ledger simplify apply error:', err);
+    res.status(500).json({ error: 'Failed to simplify debts' });
+  }
+});
+
+export default router;
@@ -0,0 +1,235 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { nanoid } from 'nanoid';
+import Poll from '../models/Poll.js';
+import Team from '../models/Team.js';
+import User from '../models/User.js';
+import Restaurant from '../models/Restaurant.js';
+import { auth } from '../middleware/auth.js';
+import { legacyMoney } from '../middleware/moneyVersion.js';
+import { parseMoney, withUnitHint } from '../services/money.js';
+import { summarizePaymentMethods } from '../services/paymentMethods.js';
+import { pollView, broadcastPoll, closePoll, schedulePoll, cancelPollTimer } from '../services/polls.js';
+import { sendPushToUser } from '../services/pushService.js';
+
+const router = express.Router();
+
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 8;
+const MAX_POLL_MINUTES = 24 * 60;
+
+/**
+ * Load the poll in req.params.id if the caller may see it (team polls are
+ * for team members; polls without a team for anyone with the link).
+ * Sends the error response and returns null otherwise.
+ */
+async function findPoll(req, res, { hostOnly = false } = {}) {
+  const poll = await Poll.findOne({ pollId: req.params.id });
+  const team = poll?.team ? await Team.findById(poll.team) : null;
+  if (!poll || (poll.team && !team?.roleOf(req.user.id))) {
+    res.status(404).json({ error: 'Poll not found' });
+    return null;
+  }
+  if (hostOnly && poll.host.toString() !== req.user.id) {
+    res.status(403).json({ error: 'Only the poll host can do this' });
+    return null;
+  }
+  return poll;
+}
+
+// ======================== LIST / CREATE ========================
+// Open polls in my teams, plus the ones I started
+router.get('/', auth, async (req, res) => {
+  try {
+    const teamIds = await Team.idsForUser(req.user.id);
+    const polls = await Poll.find({
+      status: 'open',
+      $or: [{ team: { $in: teamIds } }, { host: req.user.id }],
+    }).sort({ closesAt: 1 });
+    res.json(polls.map(p => pollView(p, req.user.id)));
+  } catch (err) {
+    console.error('List polls error:', err);
+    res.status(500).json({ error: 'Failed to list polls' });
+  }
+});
+
+router.post('/', auth, legacyMoney('deliveryFee'), async (req, res) => {
+  try {
+    const {
+      title, teamId, restaurantIds, mode = 'single', closesInMinutes,
+      hostPaymentInfo, deliveryFee = 0, deadlineMinutes, allowCustomItems,
+    } = req.body;
+
+    if (!['single', 'ranked'].includes(mode)) {
+      return res.status(400).json({ error: 'mode must be "single" or "ranked"' });
+    }
+    const minutes = parseInt(closesInMinutes);
+    if (!(minutes > 0 && minutes <= MAX_POLL_MINUTES)) {
+      return res.status(400).json({ error: `closesInMinutes must be between 1 and ${MAX_POLL_MINUTES}` });
+    }
+    const parsedDeliveryFee = parseMoney(deliveryFee);
+    if (parsedDeliveryFee === null) {
+      return res.status(400).json({ error: withUnitHint('Delivery fee must be a non-negative whole number of piastres', deliveryFee) });
+    }
+
+    let team = null;
+    if (teamId) {
+      team = mongoose.isValidObjectId(teamId) ? await Team.findById(teamId) : null;
+      if (!team || !team.roleOf(req.user.id)) return res.status(404).json({ error: 'Team not found' });
+    }
+
+    // Options: distinct restaurants from the shared catalog or the poll's team
+    // (the winner opens a session of that team)
+    const ids = Array.isArray(restaurantIds) ? [...new Set(restaurantIds.filter(id => typeof id === 'string'))] : [];
+    if (ids.length < MIN_OPTIONS || ids.length > MAX_OPTIONS) {
+      return res.status(400).json({ error: `Propose between ${MIN_OPTIONS} and ${MAX_OPTIONS} restaurants` });
+    }
+    const restaurants = await Restaurant.find(
+      { id: { $in: ids }, team: { $in: [null, team?._id ?? null] } },
+      'id name'
+    ).lean();
+    const missing = ids.find(id => !restaurants.some(r => r.id === id));
+    if (missing) return res.status(404).json({ error: `Restaurant ${missing} not found` });
+
+    // The session opened for the winner uses the host's payment details
+    const host = await User.findById(req.user.id, 'paymentInfo paymentMethods');
+    const paymentInfo = (typeof hostPaymentInfo === 'string' && hostPaymentInfo.trim())
+      || host?.paymentInfo
+      || summarizePaymentMethods((host?.paymentMethods || []).filter(m => m.isDefault));
+    if (!paymentInfo) {
+      return res.status(400).json({ error: 'Payment info is required — pass hostPaymentInfo or add a payment method' });
+    }
+
+    const poll = new Poll({
+      pollId: nanoid(8),
+      host: req.user.id,
+      hostName: req.user.name,
+      team: team?._id || null,
+      title: typeof title === 'string' ? title.trim().slice(0, 100) : '',
+      mode,
+      options: ids.map(id => ({ restaurantId: id, name: restaurants.find(r => r.id === id).name })),
+      closesAt: new Date(Date.now() + minutes * 60 * 1000),
+      sessionDefaults: {
+        hostPaymentInfo: paymentInfo,
+        deliveryFee: parsedDeliveryFee,
+        deadlineMinutes: parseInt(deadlineMinutes) > 0 ? parseInt(deadlineMinutes) : 60,
+        allowCustomItems: !!allowCustomItems,
+      },
+    });
+    await poll.save();
+    schedulePoll(poll);
+    res.status(201).json(pollView(poll, req.user.id));
+
+    // Push notification → the rest of the team
+    if (team) {
+      const others = team.members.map(m => m.user.toString()).filter(id => id !== req.user.id);
+      Promise.allSettled(others.map(userId => sendPushToUser(userId, {
+        title: '🗳️ Where do we order from?',
+        body: `${req.user.name} started a vote: ${poll.options.map(o => o.name).join(' / ')}`,
+        url: `/polls/${poll.pollId}`,
+      })));
+    }
+  } catch (err) {
+    console.error('Create poll error:', err);
+    res.status(500).json({ error: 'Failed to create poll' });
+  }
+});
+
+// ======================== GET / VOTE ========================
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const poll = await findPoll(req, res);
+    if (!poll) return;
+    res.json(pollView(poll, req.user.id));
+  } catch (err) {
+    console.error('Get poll error:', err);
+    res.status(500).json({ error: 'Failed to get poll' });
+  }
+});
+
+// { restaurantId } for single-choice polls, { ranking: [restaurantId, …] } for ranked ones.
+// Voting again replaces the previous vote.
+router.post('/:id/vote', auth, async (req, res) => {
+  try {
+    const poll = await findPoll(req, res);
+    if (!poll) return;
+    if (poll.status !== 'open' || poll.closesAt <= new Date()) {
+      return res.status(400).json({ error: 'This poll is closed' });
+    }
+
+    const optionIds = poll.options.map(o => o.restaurantId);
+    const ranking = poll.mode === 'ranked'
+      ? req.body.ranking
+      : (req.body.restaurantId ? [req.body.restaurantId] : null);
+    if (!Array.isArray(ranking) || ranking.length === 0) {
+      return res.status(400).json({ error: poll.mode === 'ranked' ? 'ranking must list restaurants in order' : 'restaurantId is required' });
+    }
+    if (ranking.some(id => !optionIds.includes(id)) || new Set(ranking).size !== ranking.length) {
+      return res.status(400).json({ error: 'Vote only for the proposed restaurants, each once' });
+    }
+
+    // Replace my vote in a single update (pipelines aren't cast, so the values are typed here)
+    const userId = new mongoose.Types.ObjectId(req.user.id);
+    const vote = { user: userId, name: req.user.name, ranking, at: new Date() };
+    const updated = await Poll.findOneAndUpdate(
+      { pollId: poll.pollId, status: 'open' },
+      [{
+        $set: {
+          votes: {
+            $concatArrays: [
+              { $filter: { input: '$votes', cond: { $ne: ['$$this.user', userId] } } },
+              [{ $literal: vote }],
+            ],
+          },
+        },
+      }],
+      { new: true, updatePipeline: true }
+    );
+    if (!updated) return res.status(400).json({ error: 'This poll is closed' });
+
+    broadcastPoll(updated);
+    res.json(pollView(updated, req.user.id));
+  } catch (err) {
+    console.error('Poll vote error:', err);
+    res.status(500).json({ error: 'Failed to vote' });
+  }
+});
+
+// ======================== CLOSE / CANCEL ========================
+// Close early: the winner's session is opened right away
+router.post('/:id/close', auth, async (req, res) => {
+  try {
+    const poll = await findPoll(req, res, { hostOnly: true });
+    if (!poll) return;
+    if (poll.status !== 'open') return res.status(400).json({ error: 'This poll is already closed' });
+
+    const closed = await closePoll(poll.pollId);
+    if (!closed) return res.status(400).json({ error: 'This poll is already closed' });
+    res.json(pollView(closed, req.user.id));
+  } catch (err) {
+    console.error('Close poll error:', err);
+    res.status(500).json({ error: 'Failed to close poll' });
+  }
+});
+
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const poll = await findPoll(req, res, { hostOnly: true });
+    if (!poll) return;
+
+    const cancelled = await Poll.findOneAndUpdate(
+      { pollId: poll.pollId, status: 'open' },
+      { $set: { status: 'cancelled' } },
+      { new: true }
+    );
+    if (!cancelled) return res.status(400).json({ error: 'This poll is already closed' });
+    cancelPollTimer(poll.pollId);
+    broadcastPoll(cancelled);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Cancel poll error:', err);
+    res.status(500).json({ error: 'Failed to cancel poll' });
+  }
+});
+
+export default router;
@@ -0,0 +1,240 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { nanoid } from 'nanoid';
+import Team from '../models/Team.js';
+import Restaurant from '../models/Restaurant.js';
+import Session from '../models/Session.js';
+import SessionTemplate from '../models/SessionTemplate.js';
+import Poll from '../models/Poll.js';
+import { auth } from '../middleware/auth.js';
+import { teamAnalytics } from '../services/teamAnalytics.js';
+import { isValidTimezone, parseDateRange, DEFAULT_TIMEZONE } from '../services/timezone.js';
+
+const router = express.Router();
+
+const MANAGER_ROLES = ['owner', 'admin'];
+const DEFAULT_ANALYTICS_DAYS = 90;
+
+function serialize(team, userId) {
+  return {
+    id: team._id,
+    name: team.name,
+    myRole: team.roleOf(userId),
+    // Only managers see the invite code
+    inviteCode: MANAGER_ROLES.includes(team.roleOf(userId)) ? team.inviteCode : undefined,
+    members: team.members,
+    createdAt: team.createdAt,
+  };
+}
+
+/**
+ * Load the team in req.params.id and check the caller's role.
+ * Sends the error response and returns null when not allowed.
+ */
+async function findTeamAs(req, res, roles = null) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ error: 'Team not found' });
+    return null;
+  }
+  const team = await Team.findById(req.params.id);
+  const role = team?.roleOf(req.user.id);
+  if (!team || !role) {
+    res.status(404).json({ error: 'Team not found' });
+    return null;
+  }
+  if (roles && !roles.includes(role)) {
+    res.status(403).json({ error: 'Only team owners and admins can do this' });
+    return null;
+  }
+  return team;
+}
+
+// ======================== LIST / CREATE ========================
+router.get('/', auth, async (req, res) => {
+  try {
+    const teams = await Team.find({ 'members.user': req.user.id }).sort({ name: 1 });
+    res.json(teams.map(t => serialize(t, req.user.id)));
+  } catch (err) {
+    console.error('List teams error:', err);
+    res.status(500).json({ error: 'Failed to list teams' });
+  }
+});
+
+router.post('/', auth, async (req, res) => {
+  try {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name) return res.status(400).json({ error: 'Team name is required' });
+
+    const team = await Team.create({
+      name,
+      inviteCode: nanoid(10),
+      createdBy: req.user.id,
+      members: [{ user: req.user.id, name: req.user.name, role: 'owner' }],
+    });
+    res.status(201).json(serialize(team, req.user.id));
+  } catch (err) {
+    console.error('Create team error:', err);
+    res.status(500).json({ error: 'Failed to create team' });
+  }
+});
+
+// ======================== JOIN ========================
+router.post('/join', auth, async (req, res) => {
+  try {
+    const { inviteCode } = req.body;
+    if (!inviteCode) return res.status(400).json({ error: 'inviteCode is required' });
+
+    const team = await Team.findOne({ inviteCode: String(inviteCode).trim() });
+    if (!team) return res.status(404).json({ error: 'Invalid invite code' });
+
+    if (!team.roleOf(req.user.id)) {
+      team.members.push({ user: req.user.id, name: req.user.name, role: 'member' });
+      await team.save();
+    }
+    res.json(serialize(team, req.user.id));
+  } catch (err) {
+    console.error('Join team error:', err);
+    res.status(500).json({ error: 'Failed to join team' });
+  }
+});
+
+// ======================== TEAM DETAILS ========================
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const team = await findTeamAs(req, res);
+    if (!team) return;
+    res.json(serialize(team, req.user.id));
+  } catch (err) {
+    console.error('Get team error:', err);
+    res.status(500).json({ error: 'Failed to get team' });
+  }
+});
+
+// ======================== ANALYTICS ========================
+// Reports over the team's archived sessions — ?from=&to= (default: last 90 days), ?timezone=
+router.get('/:id/analytics', auth, async (req, res) => {
+  try {
+    const team = await findTeamAs(req, res);
+    if (!team) return;
+
+    const timezone = req.query.timezone || DEFAULT_TIMEZONE;
+    if (!isValidTimezone(timezone)) return res.status(400).json({ error: 'Unknown timezone' });
+    const range = parseDateRange(req.query, timezone, DEFAULT_ANALYTICS_DAYS);
+    if (range.error) return res.status(400).json({ error: range.error });
+
+    res.json(await teamAnalytics(team, { ...range, timezone }));
+  } catch (err) {
+    console.error('Team analytics error:', err);
+    res.status(500).json({ error: 'Failed to compute analytics' });
+  }
+});
+
+router.patch('/:id', auth, async (req, res) => {
+  try {
+    const team = await findTeamAs(req, res, MANAGER_ROLES);
+    if (!team) return;
+
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name) return res.status(400).json({ error: 'Team name is required' });
+    team.name = name;
+    await team.save();
+    res.json(serialize(team, req.user.id));
+  } catch (err) {
+    console.error('Update team error:', err);
+    res.status(500).json({ error: 'Failed to update team' });
+  }
+});
+
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const team = await findTeamAs(req, res, ['owner']);
+    if (!team) return;
+
+    // Nothing keeps pointing at the deleted team: its restaurants join the shared
+    // catalog, and its sessions, templates and polls stay with their hosts
+    const detach = { $set: { team: null } };
+    await Promise.all([
+      Restaurant.updateMany({ team: team._id }, detach),
+      Session.updateMany({ team: team._id }, detach),
+      SessionTemplate.updateMany({ team: team._id }, detach),
+      Poll.updateMany({ team: team._id }, detach),
+    ]);
+    await Team.deleteOne({ _id: team._id });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Delete team error:', err);
+    res.status(500).json({ error: 'Failed to delete team' });
+  }
+});
+
+// Regenerate the invite code (invalidates the old one)
+router.post('/:id/invite-code', auth, async (req, res) => {
+  try {
+    const team = await findTeamAs(req, res, MANAGER_ROLES);
+    if (!team) return;
+    team.inviteCode = nanoid(10);
+    await team.save();
+    res.json({ inviteCode: team.inviteCode });
+  } catch (err) {
+    console.error('Regenerate invite code error:', err);
+    res.status(500).json({ error: 'Failed to regenerate invite code' });
+  }
+});
+
+// ======================== MEMBERS ========================
+router.patch('/:id/members/:userId', auth, async (req, res) => {
+  try {
+    const team = await findTeamAs(req, res, MANAGER_ROLES);
+    if (!team) return;
+
+    const { role } = req.body;
+    if (!['owner', 'admin', 'member'].includes(role)) {
+      return res.status(400).json({ error: 'role must be owner, admin or member' });
+    }
+    const member = team.members.find(m => m.user.toString() === req.params.userId);
+    if (!member) return res.status(404).json({ error: 'Member not found' });
+
+    // Only owners can grant or take away ownership
+    const myRole = team.roleOf(req.user.id);
+    if ((role === 'owner' || member.role === 'owner') && myRole !== 'owner') {
+      return res.status(403).json({ error: 'Only team owners can change ownership' });
+    }
+    if (member.role === 'owner' && role !== 'owner' && team.members.filter(m => m.role === 'owner').length === 1) {
+      return res.status(400).json({ error: 'A team needs at least one owner' });
+    }
+
+    member.role = role;
+    await team.save();
+    res.json(serialize(team, req.user.id));
+  } catch (err) {
+    console.error('Update member error:', err);
+    res.status(500).json({ error: 'Failed to update member' });
+  }
+});
+
+// Remove a member, or leave the team (userId = yourself)
+router.delete('/:id/members/:userId', auth, async (req, res) => {
+  try {
+    const leaving = req.params.userId === req.user.id;
+    const team = await findTeamAs(req, res, leaving ? null : MANAGER_ROLES);
+    if (!team) return;
+
+    const member = team.members.find(m => m.user.toString() === req.params.userId);
+    if (!member) return res.status(404).json({ error: 'Member not found' });
+    if (member.role === 'owner' && !leaving && team.roleOf(req.user.id) !== 'owner') {
+      return res.status(403).json({ error: 'Only team owners can remove an owner' });
+    }
+    if (member.role === 'owner' && team.members.filter(m => m.role === 'owner').length === 1) {
+      return res.status(400).json({ error: 'Transfer ownership before the last owner leaves' });
+    }
+
+    team.members = team.members.filter(m => m.user.toString() !== req.params.userId);
+    await team.save();
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Remove member error:', err);
+    res.status(500).json({ error: 'Failed to remove member' });
+  }
+});
+
+export default router;
@@ -0,0 +1,295 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { nanoid } from 'nanoid';
+import SessionTemplate from '../models/SessionTemplate.js';
+import Restaurant from '../models/Restaurant.js';
+import Team from '../models/Team.js';
+import { auth } from '../middleware/auth.js';
+import { legacyMoney } from '../middleware/moneyVersion.js';
+import { parseMoney, withUnitHint } from '../services/money.js';
+import { upcomingRuns, computeNextRun, scheduleTemplate, cancelTemplate } from '../services/templateScheduler.js';
+import { isValidTimezone, zonedParts, DEFAULT_TIMEZONE } from '../services/timezone.js';
+
+const router = express.Router();
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseRecurrence(recurrence) {
+  if (!recurrence || typeof recurrence !== 'object') return { error: 'recurrence is required' };
+
+  const weekdays = [...new Set((recurrence.weekdays || []).map(d => parseInt(d)))];
+  if (weekdays.length === 0 || weekdays.some(d => isNaN(d) || d < 0 || d > 6)) {
+    return { error: 'recurrence.weekdays must list days 0 (Sunday) to 6 (Saturday)' };
+  }
+  if (!TIME_PATTERN.test(recurrence.time || '')) {
+    return { error: 'recurrence.time must be HH:mm' };
+  }
+  const timezone = recurrence.timezone || DEFAULT_TIMEZONE;
+  if (!isValidTimezone(timezone)) return { error: 'Unknown timezone' };
+
+  return { recurrence: { weekdays: weekdays.sort(), time: recurrence.time, timezone } };
+}
+
+function serialize(template) {
+  return {
+    ...template.toObject(),
+    upcoming: template.paused ? [] : upcomingRuns(template, 3),
+  };
+}
+
+async function findOwnTemplate(req, res) {
+  const template = await SessionTemplate.findOne({ templateId: req.params.id });
+  if (!template) {
+    res.status(404).json({ error: 'Template not found' });
+    return null;
+  }
+  if (template.host.toString() !== req.user.id) {
+    res.status(403).json({ error: 'Only the host can manage this template' });
+    return null;
+  }
+  return template;
+}
+
+// Resolve an optional teamId the caller must belong to. Returns { team } or { error, status }.
+async function resolveTeam(teamId, userId) {
+  if (!teamId) return { team: null };
+  const team = mongoose.isValidObjectId(teamId) ? await Team.findById(teamId) : null;
+  if (!team || !team.roleOf(userId)) return { error: 'Team not found', status: 404 };
+  return { team: team._id };
+}
+
+async function saveAndReschedule(template) {
+  template.nextRunAt = template.paused ? null : computeNextRun(template);
+  await template.save();
+  scheduleTemplate(template);
+}
+
+// ======================== LIST / UPCOMING ========================
+router.get('/', auth, async (req, res) => {
+  try {
+    const templates = await SessionTemplate.find({ host: req.user.id }).sort({ createdAt: -1 });
+    res.json(templates.map(serialize));
+  } catch (err) {
+    console.error('List templates error:', err);
+    res.status(500).json({ error: 'Failed to list templates' });
+  }
+});
+
+// Upcoming runs across all of my templates
+router.get('/upcoming', auth, async (req, res) => {
+  try {
+    const count = Math.min(parseInt(req.query.count) || 10, 50);
+    const templates = await SessionTemplate.find({ host: req.user.id, paused: false });
+    const runs = templates
+      .flatMap(t => upcomingRuns(t, count).map(r => ({
+        ...r,
+        templateId: t.templateId,
+        name: t.name,
+        restaurantId: t.restaurantId,
+      })))
+      .sort((a, b) => a.at - b.at)
+      .slice(0, count);
+    res.json(runs);
+  } catch (err) {
+    console.error('Upcoming runs error:', err);
+    res.status(500).json({ error: 'Failed to list upcoming runs' });
+  }
+});
+
+// ======================== CREATE ========================
+router.post('/', auth, legacyMoney('deliveryFee'), async (req, res) => {
+  try {
+    const { name, teamId, restaurantId, hostPaymentInfo, deliveryFee, deadlineMinutes, allowCustomItems } = req.body;
+
+    if (!hostPaymentInfo || typeof hostPaymentInfo !== 'string' || !hostPaymentInfo.trim()) {
+      return res.status(400).json({ error: 'Payment info is required' });
+    }
+    const parsedDeliveryFee = parseMoney(deliveryFee);
+    if (parsedDeliveryFee === null) {
+      return res.status(400).json({ error: withUnitHint('Delivery fee must be a non-negative whole number of piastres', deliveryFee) });
+    }
+    const { recurrence, error } = parseRecurrence(req.body.recurrence);
+    if (error) return res.status(400).json({ error });
+    const teamResult = await resolveTeam(teamId, req.user.id);
+    if (teamResult.error) return res.status(teamResult.status).json({ error: teamResult.error });
+    if (restaurantId) {
+      const found = await Restaurant.findForTeam(restaurantId, teamResult.team);
+      if (found.error) return res.status(found.status).json({ error: found.error });
+    }
+
+    const template = new SessionTemplate({
+      templateId: nanoid(8),
+      host: req.user.id,
+      hostName: req.user.name,
+      team: teamResult.team,
+      name: (name || '').trim(),
+      restaurantId: restaurantId || null,
+      hostPaymentInfo: hostPaymentInfo.trim(),
+      deliveryFee: parsedDeliveryFee,
+      deadlineMinutes: parseInt(deadlineMinutes) > 0 ? parseInt(deadlineMinutes) : 60,
+      allowCustomItems: !!allowCustomItems,
+      recurrence,
+    });
+    await saveAndReschedule(template);
+
+    res.status(201).json(serialize(template));
+  } catch (err) {
+    console.error('Create template error:', err);
+    res.status(500).json({ error: 'Failed to create template' });
+  }
+});
+
+// ======================== GET / UPDATE / DELETE ========================
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const template = await findOwnTemplate(req, res);
+    if (!template) return;
+    res.json(serialize(template));
+  } catch (err) {
+    console.error('Get template error:', err);
+    res.status(500).json({ error: 'Failed to get template' });
+  }
+});
+
+router.get('/:id/upcoming', auth, async (req, res) => {
+  try {
+    const template = await findOwnTemplate(req, res);
+    if (!template) return;
+    const count = Math.min(parseInt(req.query.count) || 5, 50);
+    res.json(upcomingRuns(template, count));
+  } catch (err) {
+    console.error('Template upcoming error:', err);
+    res.status(500).json({ error: 'Failed to list upcoming runs' });
+  }
+});
+
+router.patch('/:id', auth, legacyMoney('deliveryFee'), async (req, res) => {
+  try {
+    const template = await findOwnTemplate(req, res);
+    if (!template) return;
+
+    const { name, teamId, restaurantId, hostPaymentInfo, deliveryFee, deadlineMinutes, allowCustomItems } = req.body;
+    if (name !== undefined) template.name = String(name).trim();
+    if (teamId !== undefined) {
+      const teamResult = await resolveTeam(teamId, req.user.id);
+      if (teamResult.error) return res.status(teamResult.status).json({ error: teamResult.error });
+      template.team = teamResult.team;
+    }
+    if (restaurantId !== undefined) template.restaurantId = restaurantId || null;
+    // Re-check when either the restaurant or the team changed
+    if ((restaurantId !== undefined || teamId !== undefined) && template.restaurantId) {
+      const found = await Restaurant.findForTeam(template.restaurantId, template.team);
+      if (found.error) return res.status(found.status).json({ error: found.error });
+    }
+    if (hostPaymentInfo !== undefined) {
+      if (typeof hostPaymentInfo !== 'string' || !hostPaymentInfo.trim()) {
+        return res.status(400).json({ error: 'Payment info is required' });
+      }
+      template.hostPaymentInfo = hostPaymentInfo.trim();
+    }
+    if (deliveryFee !== undefined) {
+      const parsed = parseMoney(deliveryFee);
+      if (parsed === null) {
+        return res.status(400).json({ error: withUnitHint('Delivery fee must be a non-negative whole number of piastres', deliveryFee) });
+      }
+      template.deliveryFee = parsed;
+    }
+    if (deadlineMinutes !== undefined) {
+      template.deadlineMinutes = parseInt(deadlineMinutes) > 0 ? parseInt(deadlineMinutes) : 60;
+    }
+    if (allowCustomItems !== undefined) template.allowCustomItems = !!allowCustomItems;
+    if (req.body.recurrence !== undefined) {
+      const { recurrence, error } = parseRecurrence(req.body.recurrence);
+      if (error) return res.status(400).json({ error });
+      template.recurrence = recurrence;
+    }
+
+    await saveAndReschedule(template);
+    res.json(serialize(template));
+  } catch (err) {
+    console.error('Update template error:', err);
+    res.status(500).json({ error: 'Failed to update template' });
+  }
+});
+
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const template = await findOwnTemplate(req, res);
+    if (!template) return;
+
+    cancelTemplate(template.templateId);
+    await SessionTemplate.deleteOne({ templateId: template.templateId });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Delete template error:', err);
+    res.status(500).json({ error: 'Failed to delete template' });
+  }
+});
+
+// ======================== PAUSE / RESUME ========================
+router.post('/:id/pause', auth, async (req, res) => {
+  try {
+    const template = await findOwnTemplate(req, res);
+    if (!template) return;
+
+    template.paused = true;
+    await saveAndReschedule(template);
+    res.json(serialize(template));
+  } catch (err) {
+    console.error('Pause template error:', err);
+    res.status(500).json({ error: 'Failed to pause template' });
+  }
+});
+
+router.post('/:id/resume', auth, async (req, res) => {
+  try {
+    const template = await findOwnTemplate(req, res);
+    if (!template) return;
+
+    template.paused = false;
+    await saveAndReschedule(template);
+    res.json(serialize(template));
+  } catch (err) {
+    console.error('Resume template error:', err);
+    res.status(500).json({ error: 'Failed to resume template' });
+  }
+});
+
+// ======================== SKIP OCCURRENCES ========================
+router.post('/:id/skip', auth, async (req, res) => {
+  try {
+    const template = await findOwnTemplate(req, res);
+    if (!template) return;
+
+    const { date } = req.body;
+    if (!DATE_PATTERN.test(date || '')) return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+
+    if (!template.skipDates.includes(date)) template.skipDates.push(date);
+    // Forget skips that are already in the past
+    const today = zonedParts(new Date(), template.recurrence.timezone).date;
+    template.skipDates = template.skipDates.filter(d => d >= today);
+
+    await saveAndReschedule(template);
+    res.json(serialize(template));
+  } catch (err) {
+    console.error('Skip occurrence error:', err);
+    res.status(500).json({ error: 'Failed to skip occurrence' });
+  }
+});
+
+router.delete('/:id/skip/:date', auth, async (req, res) => {
+  try {
+    const template = await findOwnTemplate(req, res);
+    if (!template) return;
+
+    template.skipDates = template.skipDates.filter(d => d !== req.params.date);
+    await saveAndReschedule(template);
+    res.json(serialize(template));
+  } catch (err) {
+    console.error('Unskip occurrence error:', err);
+    res.status(500).json({ error: 'Failed to restore occurrence' });
+  }
+});
+
+export default router;
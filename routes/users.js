@@ -0,0 +1,272 @@
+import express from 'express';
+import { nanoid } from 'nanoid';
+import User from '../models/User.js';
+import Team from '../models/Team.js';
+import Restaurant from '../models/Restaurant.js';
+import FavoriteOrder from '../models/FavoriteOrder.js';
+import { auth } from '../middleware/auth.js';
+import { parsePaymentMethod, normalizeDefaults, presentPaymentMethod } from '../services/paymentMethods.js';
+import { personalStats } from '../services/stats.js';
+import { resolveOrderItems, itemLineTotal } from '../services/orderItems.js';
+import { isValidTimezone, parseDateRange, DEFAULT_TIMEZONE } from '../services/timezone.js';
+
+const router = express.Router();
+
+async function findMe(req, res) {
+  const user = await User.findById(req.user.id);
+  if (!user) res.status(404).json({ error: 'User not found' });
+  return user;
+}
+
+const DEFAULT_STATS_DAYS = 180;
+
+const listMethods = user => user.paymentMethods.map(m => ({ ...m.toObject(), view: presentPaymentMethod(m) }));
+
+// ======================== PAYMENT METHODS ========================
+router.get('/me/payment-methods', auth, async (req, res) => {
+  try {
+    const user = await findMe(req, res);
+    if (!user) return;
+    res.json(listMethods(user));
+  } catch (err) {
+    console.error('List payment methods error:', err);
+    res.status(500).json({ error: 'Failed to list payment methods' });
+  }
+});
+
+router.post('/me/payment-methods', auth, async (req, res) => {
+  try {
+    const user = await findMe(req, res);
+    if (!user) return;
+
+    const { method, error } = parsePaymentMethod(req.body);
+    if (error) return res.status(400).json({ error });
+
+    // A new default takes over from the old one
+    if (method.isDefault) user.paymentMethods.forEach(m => { m.isDefault = false; });
+    user.paymentMethods.push(method);
+    normalizeDefaults(user.paymentMethods);
+    await user.save();
+    res.status(201).json(listMethods(user));
+  } catch (err) {
+    console.error('Add payment method error:', err);
+    res.status(500).json({ error: 'Failed to add payment method' });
+  }
+});
+
+router.put('/me/payment-methods/:methodId', auth, async (req, res) => {
+  try {
+    const user = await findMe(req, res);
+    if (!user) return;
+
+    const idx = user.paymentMethods.findIndex(m => m.id === req.params.methodId);
+    if (idx === -1) return res.status(404).json({ error: 'Payment method not found' });
+
+    const wasDefault = user.paymentMethods[idx].isDefault;
+    const { method, error } = parsePaymentMethod({ isDefault: wasDefault, ...req.body }, req.params.methodId);
+    if (error) return res.status(400).json({ error });
+
+    if (method.isDefault) user.paymentMethods.forEach(m => { m.isDefault = false; });
+    user.paymentMethods.set(idx, method);
+    normalizeDefaults(user.paymentMethods);
+    await user.save();
+    res.json(listMethods(user));
+  } catch (err) {
+    console.error('Update payment method error:', err);
+    res.status(500).json({ error: 'Failed to update payment method' });
+  }
+});
+
+router.patch('/me/payment-methods/:methodId/default', auth, async (req, res) => {
+  try {
+    const user = await findMe(req, res);
+    if (!user) return;
+
+    if (!user.paymentMethods.some(m => m.id === req.params.methodId)) {
+      return res.status(404).json({ error: 'Payment method not found' });
+    }
+    user.paymentMethods.forEach(m => { m.isDefault = m.id === req.params.methodId; });
+    await user.save();
+    res.json(listMethods(user));
+  } catch (err) {
+    console.error('Set default payment method error:', err);
+    res.status(500).json({ error: 'Failed to set default payment method' });
+  }
+});
+
+router.delete('/me/payment-methods/:methodId', auth, async (req, res) => {
+  try {
+    const user = await findMe(req, res);
+    if (!user) return;
+
+    const before = user.paymentMethods.length;
+    user.paymentMethods = user.paymentMethods.filter(m => m.id !== req.params.methodId);
+    if (user.paymentMethods.length === before) return res.status(404).json({ error: 'Payment method not found' });
+
+    normalizeDefaults(user.paymentMethods);
+    await user.save();
+    res.json(listMethods(user));
+  } catch (err) {
+    console.error('Delete payment method error:', err);
+    res.status(500).json({ error: 'Failed to delete payment method' });
+  }
+});
+
+// ======================== FAVORITES ========================
+const MAX_FAVORITE_NAME = 60;
+
+function serializeFavorite(favorite) {
+  return {
+    id: favorite.favoriteId,
+    restaurantId: favorite.restaurantId,
+    name: favorite.name,
+    items: favorite.items,
+    // At the prices saved with the preset
+    total: favorite.items.reduce((sum, item) => sum + itemLineTotal(item), 0),
+    stale: favorite.stale,
+    staleReasons: favorite.staleReasons,
+    createdAt: favorite.createdAt,
+    updatedAt: favorite.updatedAt,
+  };
+}
+
+async function findOwnFavorite(req, res) {
+  const favorite = await FavoriteOrder.findOne({ favoriteId: req.params.favoriteId, user: req.user.id });
+  if (!favorite) res.status(404).json({ error: 'Favorite not found' });
+  return favorite;
+}
+
+function parseFavoriteName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed) return { error: 'Give the favorite a name' };
+  if (trimmed.length > MAX_FAVORITE_NAME) return { error: `Names are limited to ${MAX_FAVORITE_NAME} characters` };
+  return { name: trimmed };
+}
+
+/**
+ * Validate preset items against the restaurant's menu (menu items only),
+ * snapshotting names and prices. Returns { items } or { error }.
+ */
+async function resolveFavoriteItems(restaurantId, rawItems) {
+  if (Array.isArray(rawItems) && rawItems.some(item => !item?.menuItemId)) {
+    return { error: 'Favorites can only hold items from the menu' };
+  }
+  return resolveOrderItems({ restaurantId, allowCustomItems: false }, rawItems);
+}
+
+const duplicateName = err => err.code === 11000;
+
+// ?restaurantId= to list the presets for one restaurant
+router.get('/me/favorites', auth, async (req, res) => {
+  try {
+    const filter = { user: req.user.id };
+    if (req.query.restaurantId) filter.restaurantId = String(req.query.restaurantId);
+    const favorites = await FavoriteOrder.find(filter).sort({ restaurantId: 1, name: 1 });
+    res.json(favorites.map(serializeFavorite));
+  } catch (err) {
+    console.error('List favorites error:', err);
+    res.status(500).json({ error: 'Failed to list favorites' });
+  }
+});
+
+router.post('/me/favorites', auth, async (req, res) => {
+  try {
+    const { restaurantId } = req.body;
+    const restaurant = typeof restaurantId === 'string'
+      ? await Restaurant.findOne({ id: restaurantId }, 'id team').lean()
+      : null;
+    // Shared catalog or one of my teams' restaurants
+    const teamIds = restaurant?.team ? (await Team.idsForUser(req.user.id)).map(String) : [];
+    if (!restaurant || (restaurant.team && !teamIds.includes(restaurant.team.toString()))) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    const { name, error: nameError } = parseFavoriteName(req.body.name);
+    if (nameError) return res.status(400).json({ error: nameError });
+    const { items, error } = await resolveFavoriteItems(restaurant.id, req.body.items);
+    if (error) return res.status(400).json({ error });
+
+    const favorite = await FavoriteOrder.create({
+      favoriteId: nanoid(8),
+      user: req.user.id,
+      restaurantId: restaurant.id,
+      name,
+      items,
+    });
+    res.status(201).json(serializeFavorite(favorite));
+  } catch (err) {
+    if (duplicateName(err)) return res.status(409).json({ error: 'You already have a favorite with that name here' });
+    console.error('Create favorite error:', err);
+    res.status(500).json({ error: 'Failed to save favorite' });
+  }
+});
+
+router.get('/me/favorites/:favoriteId', auth, async (req, res) => {
+  try {
+    const favorite = await findOwnFavorite(req, res);
+    if (!favorite) return;
+    res.json(serializeFavorite(favorite));
+  } catch (err) {
+    console.error('Get favorite error:', err);
+    res.status(500).json({ error: 'Failed to get favorite' });
+  }
+});
+
+// Rename and/or replace the items; re-saving the items against the current menu clears the stale flag
+router.put('/me/favorites/:favoriteId', auth, async (req, res) => {
+  try {
+    const favorite = await findOwnFavorite(req, res);
+    if (!favorite) return;
+
+    if (req.body.name !== undefined) {
+      const { name, error } = parseFavoriteName(req.body.name);
+      if (error) return res.status(400).json({ error });
+      favorite.name = name;
+    }
+    if (req.body.items !== undefined) {
+      const { items, error } = await resolveFavoriteItems(favorite.restaurantId, req.body.items);
+      if (error) return res.status(400).json({ error });
+      favorite.items = items;
+      favorite.stale = false;
+      favorite.staleReasons = [];
+    }
+    favorite.updatedAt = new Date();
+    await favorite.save();
+    res.json(serializeFavorite(favorite));
+  } catch (err) {
+    if (duplicateName(err)) return res.status(409).json({ error: 'You already have a favorite with that name here' });
+    console.error('Update favorite error:', err);
+    res.status(500).json({ error: 'Failed to update favorite' });
+  }
+});
+
+router.delete('/me/favorites/:favoriteId', auth, async (req, res) => {
+  try {
+    const result = await FavoriteOrder.deleteOne({ favoriteId: req.params.favoriteId, user: req.user.id });
+    if (result.deletedCount === 0) return res.status(404).json({ error: 'Favorite not found' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Delete favorite error:', err);
+    res.status(500).json({ error: 'Failed to delete favorite' });
+  }
+});
+
+// ======================== STATS ========================
+// ?from=&to= (YYYY-MM-DD local days or ISO instants; default: last 180 days), ?timezone=
+router.get('/me/stats', auth, async (req, res) => {
+  try {
+    const timezone = req.query.timezone || DEFAULT_TIMEZONE;
+    if (!isValidTimezone(timezone)) return res.status(400).json({ error: 'Unknown timezone' });
+
+    const range = parseDateRange(req.query, timezone, DEFAULT_STATS_DAYS);
+    if (range.error) return res.status(400).json({ error: range.error });
+    const { from, to } = range;
+
+    res.json(await personalStats(req.user.id, { from, to, timezone }));
+  } catch (err) {
+    console.error('User stats error:', err);
+    res.status(500).json({ error: 'Failed to compute stats' });
+  }
+});
+
+export default router;
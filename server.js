@@ -6,14 +6,46 @@ import cors from 'cors';
 import fs from 'fs';
 import path from 'path';
 import { nanoid } from 'nanoid';
+import mongoose from 'mongoose';
 import connectDB from './db.js';
 import Session from './models/Session.js';
 import Restaurant from './models/Restaurant.js';
 import restaurantRoutes from './restaurants.js';
 import authRoutes from './routes/auth.js';
-import { auth, optionalAuth } from './middleware/auth.js';
+import templateRoutes from './routes/templates.js';
+import teamRoutes from './routes/teams.js';
+import userRoutes from './routes/users.js';
+import pollRoutes from './routes/polls.js';
+import ledgerRoutes from './routes/ledger.js';
+import { auth, optionalAuth, participantAuth, participantFromToken, signGuestToken } from './middleware/auth.js';
+import { loadSession, authorizeSession, isCoHost, hasSessionPermission } from './middleware/sessionAccess.js';
+import { legacyMoney } from './middleware/moneyVersion.js';
 import User from './models/User.js';
+import Team from './models/Team.js';
 import { sendPushToUser, sendPushToParticipant, sendPushToAllParticipants, VAPID_PUBLIC_KEY } from './services/pushService.js';
+import { resolveOrderItems } from './services/orderItems.js';
+import { imageUpload, removeUpload, PROOFS_DIR } from './middleware/upload.js';
+import { calculateCosts, costSummary, costSettingsOf, parseCostSettings, RECONCILE_RULES } from './services/costs.js';
+import { parseMoney, toPiastres, formatMoney, withUnitHint } from './services/money.js';
+import { migrateMoneyToPiastres } from './services/moneyMigration.js';
+import { buildTicket, ticketToText, ticketToHtml } from './services/ticket.js';
+import { presentPaymentMethod, summarizePaymentMethods } from './services/paymentMethods.js';
+import { matchReorderItems } from './services/reorder.js';
+import { parseAvailability, setSoldOut, propagateAvailability, inSubstituteWindow } from './services/availability.js';
+import { parseBudget, budgetStatus, budgetViolations, budgetRejection } from './services/budget.js';
+import FavoriteOrder from './models/FavoriteOrder.js';
+import { setIO } from './services/realtime.js';
+import { logActivity, orderSnapshot } from './services/activityLog.js';
+import Activity from './models/Activity.js';
+import {
+  ACTIVE_STATES, allowedActions, checkSessionState, openSession, transitionSession,
+  startDeadlineScheduler, migrateSessionStatuses,
+} from './services/sessionLifecycle.js';
+import { parseReminderMinutes, startReminderScheduler, DEFAULT_REMINDER_MINUTES } from './services/reminderService.js';
+import { startTemplateScheduler } from './services/templateScheduler.js';
+import { startArchiveScheduler, buildArchive } from './services/sessionArchive.js';
+import { startPollScheduler } from './services/polls.js';
+import SessionArchive from './models/SessionArchive.js';
 
 const app = express();
 const httpServer = createServer(app);
@@ -24,11 +56,18 @@ const io = new Server(httpServer, {
   }
 });
 
+setIO(io);
+
 app.use(cors());
 app.use(express.json({ limit: '50mb' }));
 
 // Mount routes
 app.use('/api/auth', authRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/teams', teamRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/polls', pollRoutes);
+app.use('/api/ledger', ledgerRoutes);
 app.use(restaurantRoutes);
 
 // ======================== PUSH SUBSCRIPTION ========================
@@ -78,75 +117,97 @@ app.delete('/api/push/subscribe', auth, async (req, res) => {
   }
 });
 
-// Helper: Calculate costs
-function calculateCosts(session) {
-  const participants = session.orders || [];
-  const numParticipants = participants.length;
-  
-  if (numParticipants === 0) return [];
-  
-  const deliveryPerPerson = session.deliveryFee / numParticipants;
-  
-  return participants.map(order => {
-    const itemsTotal = order.items.reduce((sum, item) => 
-      sum + (item.unavailable ? 0 : (item.price * item.quantity)), 0
-    );
-    
-    // Backward compat: migrate old paymentSent boolean to new payment object
-    const payment = order.payment?.status
-      ? order.payment
-      : { status: order.paymentSent ? 'paid' : 'pending', method: 'transfer', paidBy: null, confirmedByHost: false, paidAt: null };
-    
-    return {
-      name: order.participantName,
-      itemsTotal,
-      deliveryShare: deliveryPerPerson,
-      total: itemsTotal + deliveryPerPerson,
-      items: order.items,
-      payment,
-      // Keep for backward compat
-      paymentSent: payment.status !== 'pending'
-    };
-  });
-}
-
 // ======================== SESSION ROUTES ========================
 
 // Create session (requires auth)
-app.post('/api/sessions', auth, async (req, res) => {
+app.post('/api/sessions', auth, legacyMoney(
+  'deliveryFee', 'costSettings.tip', 'costSettings.roundTo', 'costSettings.discount.value', 'budget.perPerson', 'budget.total',
+), async (req, res) => {
   try {
-    const { hostPaymentInfo, deliveryFee, deadlineMinutes, restaurantId } = req.body;
+    const {
+      hostPaymentInfo, deliveryFee, deadlineMinutes, restaurantId, allowCustomItems,
+      remindersEnabled, reminderMinutes, teamId, costSettings, paymentMethodIds, budget,
+    } = req.body;
+
+    // Snapshot the host's chosen payment methods (their default one if none are chosen)
+    const host = await User.findById(req.user.id, 'paymentMethods');
+    const saved = host?.paymentMethods || [];
+    let hostPaymentMethods;
+    if (paymentMethodIds !== undefined) {
+      if (!Array.isArray(paymentMethodIds)) return res.status(400).json({ error: 'paymentMethodIds must be an array' });
+      hostPaymentMethods = paymentMethodIds.map(id => saved.find(m => m.id === id));
+      if (hostPaymentMethods.some(m => !m)) return res.status(404).json({ error: 'Payment method not found' });
+    } else {
+      hostPaymentMethods = saved.filter(m => m.isDefault);
+    }
+    hostPaymentMethods = hostPaymentMethods.map(m => m.toObject());
 
-    if (!hostPaymentInfo || typeof hostPaymentInfo !== 'string' || !hostPaymentInfo.trim()) {
+    const paymentInfo = typeof hostPaymentInfo === 'string' && hostPaymentInfo.trim()
+      ? hostPaymentInfo.trim()
+      : summarizePaymentMethods(hostPaymentMethods);
+    if (!paymentInfo) {
       return res.status(400).json({ error: 'Payment info is required' });
     }
-    const parsedDeliveryFee = parseFloat(deliveryFee);
-    if (isNaN(parsedDeliveryFee) || parsedDeliveryFee < 0) {
-      return res.status(400).json({ error: 'Delivery fee must be a non-negative number' });
+    const parsedDeliveryFee = parseMoney(deliveryFee);
+    if (parsedDeliveryFee === null) {
+      return res.status(400).json({ error: withUnitHint('Delivery fee must be a non-negative whole number of piastres', deliveryFee) });
+    }
+
+    // Optional team — the session then shows up in every member's feed
+    let team = null;
+    if (teamId) {
+      team = mongoose.isValidObjectId(teamId) ? await Team.findById(teamId) : null;
+      if (!team || !team.roleOf(req.user.id)) {
+        return res.status(404).json({ error: 'Team not found' });
+      }
+    }
+
+    // The restaurant comes from the shared catalog or the session's own team
+    if (restaurantId) {
+      const found = await Restaurant.findForTeam(restaurantId, team?._id);
+      if (found.error) return res.status(found.status).json({ error: found.error });
+    }
+
+    let reminderOffsets = DEFAULT_REMINDER_MINUTES;
+    if (reminderMinutes !== undefined) {
+      const parsed = parseReminderMinutes(reminderMinutes);
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+      reminderOffsets = parsed.minutes;
+    }
+
+    let parsedCostSettings;
+    if (costSettings !== undefined) {
+      const parsed = parseCostSettings(costSettings);
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+      parsedCostSettings = parsed.settings;
     }
 
-    const sessionId = nanoid(8);
-    // Compute deadline: use provided minutes or default to 60
-    const minutes = deadlineMinutes && parseInt(deadlineMinutes) > 0 ? parseInt(deadlineMinutes) : 60;
-    const sessionDeadline = new Date(Date.now() + minutes * 60 * 1000);
+    let parsedBudget = null;
+    if (budget !== undefined && budget !== null) {
+      const parsed = parseBudget(budget);
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+      parsedBudget = parsed.budget;
+    }
 
-    const session = new Session({
-      sessionId,
+    const session = await openSession({
       host: req.user.id,
       hostName: req.user.name,
-      hostPaymentInfo: hostPaymentInfo.trim(),
+      team: team?._id || null,
+      hostPaymentInfo: paymentInfo,
+      hostPaymentMethods,
       deliveryFee: parsedDeliveryFee,
-      deadline: sessionDeadline,
+      deadlineMinutes,
       restaurantId: restaurantId || null,
-      status: 'active',
-      orders: []
+      allowCustomItems: !!allowCustomItems,
+      reminders: { enabled: remindersEnabled !== false, minutesBefore: reminderOffsets },
+      costSettings: parsedCostSettings,
+      budget: parsedBudget,
+      actor: req.user,
     });
 
-    await session.save();
-
     res.json({
-      sessionId,
-      url: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/join/${sessionId}`
+      sessionId: session.sessionId,
+      url: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/join/${session.sessionId}`
     });
   } catch (err) {
     console.error('Create session error:', err);
@@ -154,14 +215,18 @@ app.post('/api/sessions', auth, async (req, res) => {
   }
 });
 
-// Active sessions feed (sessions the user hosts or has ordered in)
+// Active sessions feed (sessions the user hosts, has ordered in, or that belong to one of their teams)
 app.get('/api/sessions/feed/active', auth, async (req, res) => {
   try {
+    const teamIds = await Team.idsForUser(req.user.id);
     const sessions = await Session.find({
-      status: 'active',
+      status: { $in: ACTIVE_STATES },
       $or: [
         { host: req.user.id },
-        { 'orders.userId': req.user.id }
+        { 'orders.user': req.user.id },
+        { 'orders.orderedBy': req.user.id },
+        { 'coHosts.user': req.user.id },
+        { team: { $in: teamIds } }
       ]
     }).sort({ createdAt: -1 }).lean();
 
@@ -169,6 +234,9 @@ app.get('/api/sessions/feed/active', auth, async (req, res) => {
       sessionId: s.sessionId,
       hostName: s.hostName,
       isHost: s.host.toString() === req.user.id,
+      isCoHost: (s.coHosts || []).some(c => c.user.toString() === req.user.id),
+      team: s.team || null,
+      status: s.status,
       participantCount: s.orders.length,
       deadline: s.deadline,
       restaurantId: s.restaurantId,
@@ -182,33 +250,73 @@ app.get('/api/sessions/feed/active', auth, async (req, res) => {
   }
 });
 
-// User's order history
+// User's order history — archived sessions (see services/sessionArchive.js)
+// ?page=1&limit=20&from=<date>&to=<date>&restaurantId=<id>
 app.get('/api/sessions/history/mine', auth, async (req, res) => {
   try {
-    const sessions = await Session.find({
-      $or: [
-        { host: req.user.id },
-        { 'orders.userId': req.user.id }
-      ]
-    }).sort({ createdAt: -1 }).limit(20).lean();
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 20), 100);
+
+    const me = new mongoose.Types.ObjectId(req.user.id);
+    const filter = {};
+    const createdAt = {};
+    for (const [param, op] of [['from', '$gte'], ['to', '$lte']]) {
+      if (!req.query[param]) continue;
+      const date = new Date(req.query[param]);
+      if (Number.isNaN(date.getTime())) return res.status(400).json({ error: `Invalid ${param} date` });
+      createdAt[op] = date;
+    }
+    if (Object.keys(createdAt).length) filter.createdAt = createdAt;
+    if (req.query.restaurantId) filter.restaurantId = String(req.query.restaurantId);
+
+    // Sessions stay live for their first 48 hours, so they come before every archived one:
+    // the page starts in the live list and continues into the archive
+    const liveSessions = await Session.find({
+      ...filter,
+      $or: [{ host: me }, { 'orders.user': me }, { 'orders.orderedBy': me }],
+    }).sort({ createdAt: -1 });
+    const skip = (page - 1) * limit;
+    const livePage = liveSessions.slice(skip, skip + limit);
+    const archiveFilter = { ...filter, participants: me };
+    const [archived, archivedTotal, restaurants] = await Promise.all([
+      livePage.length < limit
+        ? SessionArchive.find(archiveFilter).sort({ createdAt: -1 })
+          .skip(Math.max(skip - liveSessions.length, 0)).limit(limit - livePage.length).lean()
+        : [],
+      SessionArchive.countDocuments(archiveFilter),
+      Restaurant.find({ id: { $in: livePage.map(s => s.restaurantId).filter(Boolean) } }, 'id name').lean(),
+    ]);
+    const restaurantNames = new Map(restaurants.map(r => [r.id, r.name]));
+    const sessions = [
+      ...livePage.map(s => buildArchive(s, restaurantNames.get(s.restaurantId) || null)),
+      ...archived,
+    ];
+    const total = liveSessions.length + archivedTotal;
 
     const history = sessions.map(s => {
-      const myOrder = s.orders.find(o => o.userId?.toString() === req.user.id);
+      const myOrders = s.orders.filter(o => o.user?.toString() === req.user.id);
+      const myOrder = myOrders[0];
       return {
         sessionId: s.sessionId,
         hostName: s.hostName,
         isHost: s.host.toString() === req.user.id,
         status: s.status,
         restaurantId: s.restaurantId,
+        restaurantName: s.restaurantName,
         createdAt: s.createdAt,
-        myItems: myOrder?.items || [],
-        myTotal: myOrder ? myOrder.items.reduce((sum, i) => sum + (i.price * (i.quantity || 1)), 0) : 0,
-        paymentSent: myOrder?.paymentSent || false,
+        closedAt: s.closedAt,
+        myOrderIds: myOrders.map(o => o.orderId),
+        myItems: myOrders.flatMap(o => o.items),
+        myTotal: myOrders.reduce((sum, o) => sum + o.itemsTotal, 0),
+        // What I was charged, with my share of fees, discounts and rounding
+        myDue: myOrders.reduce((sum, o) => sum + o.total, 0),
+        paymentSent: myOrder ? myOrder.payment.status !== 'pending' : false,
         payment: myOrder?.payment || { status: 'pending' },
+        grandTotal: s.costs?.grandTotal ?? null,
       };
     });
 
-    res.json(history);
+    res.json({ sessions: history, page, limit, total, hasMore: page * limit < total });
   } catch (err) {
     console.error('History error:', err);
     res.status(500).json({ error: 'Failed to fetch history' });
@@ -235,21 +343,25 @@ app.get('/api/sessions/:id', async (req, res) => {
     res.json({
       sessionId: session.sessionId,
       hostName: session.hostName,
+      team: session.team,
+      coHosts: session.coHosts,
       hostPaymentInfo: session.hostPaymentInfo,
+      hostPaymentMethods: session.hostPaymentMethods.map(presentPaymentMethod),
       deliveryFee: session.deliveryFee,
       deadline: session.deadline,
       restaurantId: session.restaurantId,
+      allowCustomItems: session.allowCustomItems,
+      costSettings: costSettingsOf(session),
+      budget: budgetStatus(session, costs),
+      reminders: { enabled: session.reminders.enabled, minutesBefore: session.reminders.minutesBefore },
       status: session.status,
+      allowedActions: allowedActions(session),
       createdAt: session.createdAt,
       orders: session.orders,
       host: session.host,
       costs,
       restaurant,
-      summary: {
-        totalFood: costs.reduce((sum, c) => sum + c.itemsTotal, 0),
-        totalDelivery: session.deliveryFee,
-        grandTotal: costs.reduce((sum, c) => sum + c.total, 0)
-      }
+      summary: costSummary(session, costs)
     });
   } catch (err) {
     console.error('Get session error:', err);
@@ -257,8 +369,92 @@ app.get('/api/sessions/:id', async (req, res) => {
   }
 });
 
-// Submit order (requires auth)
-app.post('/api/sessions/:id/orders', auth, async (req, res) => {
+// Consolidated order ticket for the restaurant
+// ?format=json (default) | text (Arabic, WhatsApp-ready) | print (HTML); ?byPerson=true lists who ordered each line
+app.get('/api/sessions/:id/ticket', participantAuth, loadSession, authorizeSession('session:ticket'), async (req, res) => {
+  try {
+    const session = req.sessionDoc;
+
+    const format = req.query.format || 'json';
+    if (!['json', 'text', 'print'].includes(format)) {
+      return res.status(400).json({ error: 'format must be json, text or print' });
+    }
+    const byPerson = req.query.byPerson === 'true' || req.query.byPerson === '1';
+
+    const restaurant = session.restaurantId
+      ? await Restaurant.findOne({ id: session.restaurantId }, 'id name phone').lean()
+      : null;
+    const ticket = buildTicket(session, restaurant);
+
+    if (format === 'text') return res.type('text/plain; charset=utf-8').send(ticketToText(ticket, { byPerson }));
+    if (format === 'print') return res.type('html').send(ticketToHtml(ticket, { byPerson }));
+
+    res.json(byPerson ? ticket : { ...ticket, items: ticket.items.map(({ participants, ...line }) => line) });
+  } catch (err) {
+    console.error('Ticket error:', err);
+    res.status(500).json({ error: 'Failed to build ticket' });
+  }
+});
+
+// Join as a guest (no account) — returns a token scoped to this session
+app.post('/api/sessions/:id/guests', async (req, res) => {
+  try {
+    const session = await Session.findOne({ sessionId: req.params.id });
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    const denied = checkSessionState(session, 'order:submit');
+    if (denied) return res.status(400).json(denied);
+
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name) return res.status(400).json({ error: 'Display name is required' });
+    if (name.length > 40) return res.status(400).json({ error: 'Display name is too long' });
+
+    const guest = { guestId: nanoid(10), name, sessionId: session.sessionId };
+    res.json({ guestToken: signGuestToken(guest), guest });
+  } catch (err) {
+    console.error('Guest join error:', err);
+    res.status(500).json({ error: 'Failed to join as guest' });
+  }
+});
+
+// Every submission is a separate order — edit existing ones by id
+async function addOrder(session, actor, { forUser, participantName, items }) {
+  const costsBefore = calculateCosts(session);
+  const order = {
+    orderId: nanoid(10),
+    orderedBy: actor.id,
+    orderedByName: actor.name,
+    guestId: actor.guestId || null,
+    user: forUser,
+    participantName,
+    items,
+    paymentSent: false,
+    submittedAt: new Date()
+  };
+  session.orders.push(order);
+
+  // Over a budget limit: refuse, or accept and pass the warnings back
+  const violations = budgetViolations(session, order, costsBefore);
+  if (violations.length && session.budget.enforcement === 'reject') {
+    session.orders.pop();
+    return { violations };
+  }
+
+  await session.save();
+  logActivity(session.sessionId, actor, 'order:submit', {
+    orderId: order.orderId,
+    after: orderSnapshot(session.orders[session.orders.length - 1]),
+  });
+
+  // Broadcast update
+  io.to(session.sessionId).emit('session-updated', {
+    orders: session.orders,
+    costs: calculateCosts(session)
+  });
+  return { order, budgetWarnings: violations };
+}
+
+// Submit order (account or guest token)
+app.post('/api/sessions/:id/orders', participantAuth, legacyMoney('items[].price'), async (req, res) => {
   try {
     const session = await Session.findOne({ sessionId: req.params.id });
     
@@ -266,85 +462,180 @@ app.post('/api/sessions/:id/orders', auth, async (req, res) => {
       return res.status(404).json({ error: 'Session not found' });
     }
     
-    if (session.status !== 'active') {
-      return res.status(400).json({ error: 'Session is closed' });
-    }
+    const denied = checkSessionState(session, 'order:submit');
+    if (denied) return res.status(400).json(denied);
     
-    // Deadline enforcement
+    // Deadline enforcement (the scheduler may not have locked it yet)
     if (session.deadline && new Date() > new Date(session.deadline)) {
       return res.status(400).json({ error: 'Order deadline has passed' });
     }
     
-    const { items } = req.body;
-    const participantName = req.user.name;
-    
-    // Input validation
-    if (!Array.isArray(items) || items.length === 0) {
-      return res.status(400).json({ error: 'At least one item is required' });
-    }
-    for (const item of items) {
-      if (!item.name || typeof item.name !== 'string' || !item.name.trim()) {
-        return res.status(400).json({ error: 'Each item must have a name' });
-      }
-      if (typeof item.price !== 'number' || item.price <= 0) {
-        return res.status(400).json({ error: 'Each item must have a positive price' });
+    // Who the order is for: yourself (default), a colleague's account, or a free-text name
+    const { forUserId, forName } = req.body;
+    let forUser = req.user.isGuest ? null : req.user.id;
+    let participantName = req.user.name;
+    if (forUserId || forName) {
+      if (req.user.isGuest) {
+        return res.status(403).json({ error: 'Guests can only order for themselves' });
       }
-      if (!Number.isInteger(item.quantity) || item.quantity < 1) {
-        return res.status(400).json({ error: 'Each item must have a quantity of at least 1' });
+      if (forUserId) {
+        if (!mongoose.isValidObjectId(forUserId)) return res.status(400).json({ error: 'Invalid forUserId' });
+        const colleague = await User.findById(forUserId, 'name');
+        if (!colleague) return res.status(404).json({ error: 'User not found' });
+        forUser = colleague._id;
+        participantName = colleague.name;
+      } else {
+        if (typeof forName !== 'string' || !forName.trim()) {
+          return res.status(400).json({ error: 'forName must be a non-empty name' });
+        }
+        forUser = null;
+        participantName = forName.trim();
       }
     }
     
-    // Check if participant already ordered
-    const existingIndex = session.orders.findIndex(
-      o => o.participantName === participantName
-    );
-    
-    const order = {
-      user: req.user.id,
-      participantName,
-      items: items.map(i => ({ name: i.name.trim(), price: i.price, quantity: i.quantity })),
-      paymentSent: false,
-      submittedAt: new Date()
-    };
-    
-    if (existingIndex >= 0) {
-      session.orders[existingIndex] = order;
-    } else {
-      session.orders.push(order);
+    // Prices come from the restaurant menu, never from the client
+    const { items, error } = await resolveOrderItems(session, req.body.items);
+    if (error) {
+      return res.status(400).json({ error });
     }
     
-    await session.save();
-    
-    // Broadcast update
-    io.to(req.params.id).emit('session-updated', {
-      orders: session.orders,
-      costs: calculateCosts(session)
-    });
-    
-    res.json({ success: true });
+    const { order, violations, budgetWarnings } = await addOrder(session, req.user, { forUser, participantName, items });
+    if (violations) return res.status(400).json(budgetRejection(violations));
+    res.json({ success: true, orderId: order.orderId, budgetWarnings });
   } catch (err) {
     console.error('Submit order error:', err);
     res.status(500).json({ error: 'Failed to submit order' });
   }
 });
 
-// Update payment status (enhanced — supports status, method, paidBy)
-app.patch('/api/sessions/:id/orders/:name/payment', auth, async (req, res) => {
+/**
+ * Order items saved earlier (a past order or a favorite) for the caller:
+ * re-match them against the session's current menu, then submit whatever
+ * is still available. The response reports price changes and missing items.
+ */
+async function submitPastItems(req, res, session, pastItems, { dryRun = false } = {}) {
+  const restaurant = session.restaurantId
+    ? await Restaurant.findOne({ id: session.restaurantId }).lean()
+    : null;
+  const { items, report } = matchReorderItems(restaurant, pastItems, {
+    customAllowed: !restaurant || session.allowCustomItems,
+    skipSoldOut: true,
+  });
+  const summary = {
+    carried: report.filter(r => r.status !== 'missing').length,
+    missing: report.filter(r => r.status === 'missing').length,
+    priceChanged: report.filter(r => r.priceChanged).length,
+  };
+
+  if (dryRun) return res.json({ dryRun: true, summary, report });
+  if (items.length === 0) {
+    return res.status(400).json({ error: 'None of those items are on this menu anymore', summary, report });
+  }
+
+  const { items: resolved, error } = await resolveOrderItems(session, items);
+  if (error) return res.status(400).json({ error, summary, report });
+
+  const { order, violations, budgetWarnings } = await addOrder(session, req.user, {
+    forUser: req.user.id,
+    participantName: req.user.name,
+    items: resolved,
+  });
+  if (violations) return res.status(400).json({ ...budgetRejection(violations), summary, report });
+  res.json({ success: true, orderId: order.orderId, budgetWarnings, summary, report });
+}
+
+// Reorder: copy my order from a past session (archived or still live) into this one.
+// Items are re-matched against the current menu; { dryRun: true } only returns the report.
+app.post('/api/sessions/:id/reorder', auth, async (req, res) => {
   try {
     const session = await Session.findOne({ sessionId: req.params.id });
-    
-    if (!session) {
-      return res.status(404).json({ error: 'Session not found' });
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+
+    const denied = checkSessionState(session, 'order:submit');
+    if (denied) return res.status(400).json(denied);
+    if (session.deadline && new Date() > new Date(session.deadline)) {
+      return res.status(400).json({ error: 'Order deadline has passed' });
     }
+
+    const { fromSessionId, orderId, dryRun } = req.body;
+    if (!fromSessionId || typeof fromSessionId !== 'string') {
+      return res.status(400).json({ error: 'fromSessionId is required' });
+    }
+    const source = await SessionArchive.findOne({ sessionId: fromSessionId }, 'orders').lean()
+      || await Session.findOne({ sessionId: fromSessionId }, 'orders').lean();
+
+    // My own orders there (or the ones I placed for a name without an account)
+    const mine = (source?.orders || []).filter(o =>
+      o.user ? o.user.toString() === req.user.id : o.orderedBy?.toString() === req.user.id);
+    const picked = orderId ? mine.filter(o => o.orderId === orderId) : mine;
+    if (picked.length === 0) return res.status(404).json({ error: 'No order of yours in that session' });
+
+    await submitPastItems(req, res, session, picked.flatMap(o => o.items), { dryRun });
+  } catch (err) {
+    console.error('Reorder error:', err);
+    res.status(500).json({ error: 'Failed to reorder' });
+  }
+});
+
+// Submit one of my saved favorites (see routes/users.js) — { dryRun: true } only returns the report
+app.post('/api/sessions/:id/favorites/:favoriteId', auth, async (req, res) => {
+  try {
+    const session = await Session.findOne({ sessionId: req.params.id });
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+
+    const denied = checkSessionState(session, 'order:submit');
+    if (denied) return res.status(400).json(denied);
+    if (session.deadline && new Date() > new Date(session.deadline)) {
+      return res.status(400).json({ error: 'Order deadline has passed' });
+    }
+
+    const favorite = await FavoriteOrder.findOne({ favoriteId: req.params.favoriteId, user: req.user.id }).lean();
+    if (!favorite) return res.status(404).json({ error: 'Favorite not found' });
+    if (favorite.restaurantId !== session.restaurantId) {
+      return res.status(400).json({ error: 'This favorite is for a different restaurant' });
+    }
+
+    await submitPastItems(req, res, session, favorite.items, { dryRun: req.body.dryRun });
+  } catch (err) {
+    console.error('Submit favorite error:', err);
+    res.status(500).json({ error: 'Failed to submit favorite' });
+  }
+});
+
+const proofUpload = imageUpload('proof', PROOFS_DIR);
+
+// Full proof details, for the host/co-hosts and the payer only
+function proofDetails(sessionId, order) {
+  const proof = order.payment?.proof;
+  if (!proof) return null;
+  return {
+    reference: proof.reference,
+    uploadedAt: proof.uploadedAt,
+    imageUrl: proof.image ? `/api/sessions/${sessionId}/orders/${order.orderId}/proof/image` : null,
+  };
+}
+
+// Update payment status (enhanced — supports status, method, paidBy)
+// Multipart requests can attach a `proof` screenshot; `reference` takes a transfer reference number
+app.patch('/api/sessions/:id/orders/:orderId/payment', participantAuth, loadSession, authorizeSession('order:payment'), proofUpload.single('proof'), async (req, res) => {
+  try {
+    const session = req.sessionDoc;
+    const order = req.order;
     
-    const name = decodeURIComponent(req.params.name);
-    const order = session.orders.find(o => o.participantName === name);
-    
-    if (!order) {
-      return res.status(404).json({ error: 'Order not found' });
+    const denied = checkSessionState(session, 'payment');
+    if (denied) {
+      removeUpload(req.file?.filename, PROOFS_DIR);
+      return res.status(400).json(denied);
     }
 
-    const { status, method, paidBy, paymentSent } = req.body;
+    const before = orderSnapshot(order);
+    const { status, method, paidBy } = req.body;
+    // Multipart fields arrive as strings
+    const paymentSent = typeof req.body.paymentSent === 'string'
+      ? req.body.paymentSent === 'true'
+      : req.body.paymentSent;
+    const reference = typeof req.body.reference === 'string' ? req.body.reference.trim().slice(0, 100) : '';
+    const previousProof = order.payment?.proof?.toObject() || null;
     
     // Support legacy boolean format
     if (paymentSent !== undefined && !status) {
@@ -366,8 +657,27 @@ app.patch('/api/sessions/:id/orders/:name/payment', auth, async (req, res) => {
       };
       order.paymentSent = status !== 'pending';
     }
+
+    // A new screenshot/reference replaces the old proof; otherwise it carries over
+    if (req.file || reference) {
+      if (req.file && previousProof?.image) removeUpload(previousProof.image, PROOFS_DIR);
+      order.payment.proof = {
+        image: req.file?.filename || (reference ? previousProof?.image : null) || null,
+        reference: reference || previousProof?.reference || null,
+        uploadedAt: new Date(),
+      };
+    } else if (previousProof && order.paymentSent) {
+      order.payment.proof = previousProof;
+    } else if (previousProof?.image) {
+      removeUpload(previousProof.image, PROOFS_DIR);
+    }
     
     await session.save();
+    logActivity(session.sessionId, req.user, 'order:payment', {
+      orderId: order.orderId,
+      before,
+      after: orderSnapshot(order),
+    });
     
     io.to(req.params.id).emit('session-updated', {
       orders: session.orders,
@@ -379,7 +689,7 @@ app.patch('/api/sessions/:id/orders/:name/payment', auth, async (req, res) => {
     // Push notification → notify the host that someone paid
     sendPushToUser(session.host, {
       title: '💳 Payment Update',
-      body: `${paidBy || req.user.name} marked payment for ${name}`,
+      body: `${paidBy || req.user.name} marked payment for ${order.participantName}${order.payment.proof ? ' (proof attached)' : ''}`,
       url: `/host/${req.params.id}`,
     }).catch(() => {});
   } catch (err) {
@@ -389,24 +699,24 @@ app.patch('/api/sessions/:id/orders/:name/payment', auth, async (req, res) => {
 });
 
 // Host treats participants (عزمتك / عزمتكم)
-app.post('/api/sessions/:id/treat', auth, async (req, res) => {
+app.post('/api/sessions/:id/treat', auth, loadSession, authorizeSession('session:treat'), async (req, res) => {
   try {
-    const session = await Session.findOne({ sessionId: req.params.id });
-    if (!session) return res.status(404).json({ error: 'Session not found' });
+    const session = req.sessionDoc;
+    const denied = checkSessionState(session, 'treat');
+    if (denied) return res.status(400).json(denied);
     
-    // Only host can treat
-    if (session.host.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Only the host can treat participants' });
-    }
-    
-    const { names } = req.body; // 'all' or ['Ahmed', 'Sara']
-    const targetNames = names === 'all'
-      ? session.orders.map(o => o.participantName)
-      : Array.isArray(names) ? names : [names];
+    const { orderIds } = req.body; // 'all' or ['k3J9x…', …]
+    const targetIds = orderIds === 'all'
+      ? session.orders.map(o => o.orderId)
+      : Array.isArray(orderIds) ? orderIds : [orderIds];
+    const paymentsOf = () => session.orders
+      .filter(o => targetIds.includes(o.orderId))
+      .map(o => ({ orderId: o.orderId, participantName: o.participantName, payment: o.payment?.toObject?.() ?? null }));
+    const before = paymentsOf();
     
     let treated = 0;
     for (const order of session.orders) {
-      if (targetNames.includes(order.participantName)) {
+      if (targetIds.includes(order.orderId)) {
         order.payment = {
           status: 'treated',
           method: 'treated',
@@ -420,23 +730,34 @@ app.post('/api/sessions/:id/treat', auth, async (req, res) => {
     }
     
     await session.save();
+    logActivity(session.sessionId, req.user, 'session:treat', { before, after: paymentsOf() });
     
+    const costs = calculateCosts(session);
     io.to(req.params.id).emit('session-updated', {
       orders: session.orders,
-      costs: calculateCosts(session)
+      costs
     });
     
-    res.json({ success: true, treated });
+    // A treat covers up to the per-person cap; the rest is charged back
+    const chargebacks = new Map();
+    for (const cost of costs) {
+      if (!targetIds.includes(cost.orderId) || !cost.user) continue;
+      const userId = cost.user.toString();
+      chargebacks.set(userId, (chargebacks.get(userId) || 0) + cost.chargeback);
+    }
+    const chargeback = costs.reduce((total, c) => total + (targetIds.includes(c.orderId) ? c.chargeback : 0), 0);
 
-    // Push notification → notify each treated participant
-    for (const order of session.orders) {
-      if (targetNames.includes(order.participantName) && order.user) {
-        sendPushToUser(order.user, {
-          title: '🎁 عزمتك!',
-          body: `${session.hostName} is treating you! Your payment is covered.`,
-          url: `/join/${req.params.id}`,
-        }).catch(() => {});
-      }
+    res.json({ success: true, treated, chargeback });
+
+    // Push notification → notify each treated participant (once per account)
+    for (const [userId, owed] of chargebacks) {
+      sendPushToUser(userId, {
+        title: '🎁 عزمتك!',
+        body: owed
+          ? `${session.hostName} is treating you up to the ${formatMoney(session.budget.perPerson)} cap — you still owe ${formatMoney(owed)}.`
+          : `${session.hostName} is treating you! Your payment is covered.`,
+        url: `/join/${req.params.id}`,
+      }).catch(() => {});
     }
   } catch (err) {
     console.error('Treat error:', err);
@@ -445,33 +766,34 @@ app.post('/api/sessions/:id/treat', auth, async (req, res) => {
 });
 
 // Host confirms payment received
-app.patch('/api/sessions/:id/orders/:name/confirm', auth, async (req, res) => {
+app.patch('/api/sessions/:id/orders/:orderId/confirm', auth, loadSession, authorizeSession('order:confirm'), async (req, res) => {
   try {
-    const session = await Session.findOne({ sessionId: req.params.id });
-    if (!session) return res.status(404).json({ error: 'Session not found' });
-    
-    if (session.host.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Only the host can confirm payments' });
-    }
-    
-    const name = decodeURIComponent(req.params.name);
-    const order = session.orders.find(o => o.participantName === name);
-    if (!order) return res.status(404).json({ error: 'Order not found' });
+    const session = req.sessionDoc;
+    const order = req.order;
+
+    const denied = checkSessionState(session, 'confirm');
+    if (denied) return res.status(400).json(denied);
     
+    const before = orderSnapshot(order);
     if (!order.payment) {
-      order.payment = { status: 'paid', method: 'transfer', paidBy: name, paidAt: new Date() };
+      order.payment = { status: 'paid', method: 'transfer', paidBy: order.participantName, paidAt: new Date() };
     }
     order.payment.confirmedByHost = true;
     order.paymentSent = true;
     
     await session.save();
+    logActivity(session.sessionId, req.user, 'order:confirm', {
+      orderId: order.orderId,
+      before,
+      after: orderSnapshot(order),
+    });
     
     io.to(req.params.id).emit('session-updated', {
       orders: session.orders,
       costs: calculateCosts(session)
     });
     
-    res.json({ success: true });
+    res.json({ success: true, proof: proofDetails(session.sessionId, order) });
 
     // Push notification → notify the payer that host confirmed
     if (order.user) {
@@ -487,19 +809,79 @@ app.patch('/api/sessions/:id/orders/:name/confirm', auth, async (req, res) => {
   }
 });
 
-// Close session
-app.delete('/api/sessions/:id', auth, async (req, res) => {
+// Payment proof (host/co-host and the payer only)
+app.get('/api/sessions/:id/orders/:orderId/proof', participantAuth, loadSession, authorizeSession('order:proof'), (req, res) => {
+  const proof = proofDetails(req.params.id, req.order);
+  if (!proof) return res.status(404).json({ error: 'No payment proof attached' });
+  res.json({ ...proof, payment: req.order.payment });
+});
+
+app.get('/api/sessions/:id/orders/:orderId/proof/image', participantAuth, loadSession, authorizeSession('order:proof'), (req, res) => {
+  const image = req.order.payment?.proof?.image;
+  if (!image) return res.status(404).json({ error: 'No proof image attached' });
+  res.set('Cache-Control', 'private, no-store');
+  res.sendFile(path.join(PROOFS_DIR, path.basename(image)), err => {
+    if (err && !res.headersSent) res.status(404).json({ error: 'Proof image not found' });
+  });
+});
+
+// Host rejects a payment proof — the payment goes back to pending and the payer is told why
+app.patch('/api/sessions/:id/orders/:orderId/reject-payment', auth, loadSession, authorizeSession('order:confirm'), async (req, res) => {
   try {
-    const session = await Session.findOne({ sessionId: req.params.id });
-    
-    if (session) {
-      session.status = 'closed';
-      await session.save();
-      io.to(req.params.id).emit('session-closed');
-      res.json({ success: true });
-    } else {
-      res.status(404).json({ error: 'Session not found' });
+    const session = req.sessionDoc;
+    const order = req.order;
+
+    const denied = checkSessionState(session, 'confirm');
+    if (denied) return res.status(400).json(denied);
+
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) return res.status(400).json({ error: 'A reason is required' });
+    if (!order.payment || order.payment.status === 'pending' || order.payment.status === 'treated') {
+      return res.status(400).json({ error: 'There is no payment to reject' });
     }
+
+    const before = orderSnapshot(order);
+    order.payment.status = 'pending';
+    order.payment.confirmedByHost = false;
+    order.payment.rejection = { reason, by: req.user.name, at: new Date() };
+    order.paymentSent = false;
+
+    await session.save();
+    logActivity(session.sessionId, req.user, 'order:reject-payment', {
+      orderId: order.orderId,
+      before,
+      after: orderSnapshot(order),
+    });
+
+    io.to(req.params.id).emit('session-updated', {
+      orders: session.orders,
+      costs: calculateCosts(session)
+    });
+
+    res.json({ success: true });
+
+    // Push notification → tell the payer (and whoever placed the order for them) why
+    const payload = {
+      title: '❌ Payment not confirmed',
+      body: `${req.user.name}: ${reason}`,
+      url: `/join/${req.params.id}`,
+    };
+    sendPushToParticipant(session, order.orderId, payload).catch(() => {});
+    if (order.orderedBy && order.orderedBy.toString() !== order.user?.toString()) {
+      sendPushToUser(order.orderedBy, payload).catch(() => {});
+    }
+  } catch (err) {
+    console.error('Reject payment error:', err);
+    res.status(500).json({ error: 'Failed to reject payment' });
+  }
+});
+
+// Close session (settles it from any state)
+app.delete('/api/sessions/:id', auth, loadSession, authorizeSession('session:close'), async (req, res) => {
+  try {
+    const { error, code } = await transitionSession(req.params.id, 'settled', { actor: req.user });
+    if (error) return res.status(code === 'NOT_FOUND' ? 404 : 400).json({ error, code });
+    res.json({ success: true });
   } catch (err) {
     console.error('Close session error:', err);
     res.status(500).json({ error: 'Failed to close session' });
@@ -507,19 +889,22 @@ app.delete('/api/sessions/:id', auth, async (req, res) => {
 });
 
 // Update delivery fee
-app.patch('/api/sessions/:id/delivery-fee', auth, async (req, res) => {
+app.patch('/api/sessions/:id/delivery-fee', auth, loadSession, authorizeSession('session:settings'), legacyMoney('deliveryFee'), async (req, res) => {
   try {
-    const session = await Session.findOne({ sessionId: req.params.id });
-    if (!session) return res.status(404).json({ error: 'Session not found' });
+    const session = req.sessionDoc;
+    const denied = checkSessionState(session, 'delivery-fee');
+    if (denied) return res.status(400).json(denied);
 
     const { deliveryFee } = req.body;
-    const parsed = parseFloat(deliveryFee);
-    if (isNaN(parsed) || parsed < 0) {
-      return res.status(400).json({ error: 'Delivery fee must be a non-negative number' });
+    const parsed = parseMoney(deliveryFee);
+    if (parsed === null) {
+      return res.status(400).json({ error: withUnitHint('Delivery fee must be a non-negative whole number of piastres', deliveryFee) });
     }
 
+    const before = { deliveryFee: session.deliveryFee };
     session.deliveryFee = parsed;
     await session.save();
+    logActivity(session.sessionId, req.user, 'session:delivery-fee', { before, after: { deliveryFee: parsed } });
 
     io.to(req.params.id).emit('session-updated', {
       orders: session.orders,
@@ -534,18 +919,174 @@ app.patch('/api/sessions/:id/delivery-fee', auth, async (req, res) => {
   }
 });
 
-// Delete a participant's order
-app.delete('/api/sessions/:id/orders/:name', auth, async (req, res) => {
+// Split mode, service charge, VAT, tip and discount (host/co-host)
+app.patch('/api/sessions/:id/cost-settings', auth, loadSession, authorizeSession('session:settings'), legacyMoney('tip', 'roundTo', 'discount.value'), async (req, res) => {
   try {
-    const session = await Session.findOne({ sessionId: req.params.id });
-    if (!session) return res.status(404).json({ error: 'Session not found' });
+    const session = req.sessionDoc;
+    const denied = checkSessionState(session, 'cost-settings');
+    if (denied) return res.status(400).json(denied);
+
+    const before = costSettingsOf(session);
+    const { settings, error } = parseCostSettings(req.body, before);
+    if (error) return res.status(400).json({ error });
+
+    session.costSettings = settings;
+    await session.save();
+    logActivity(session.sessionId, req.user, 'session:cost-settings', { before, after: settings });
+
+    const costs = calculateCosts(session);
+    io.to(req.params.id).emit('session-updated', {
+      orders: session.orders,
+      costs,
+      costSettings: settings,
+      summary: costSummary(session, costs),
+    });
+
+    res.json({ success: true, costSettings: settings });
+  } catch (err) {
+    console.error('Update cost settings error:', err);
+    res.status(500).json({ error: 'Failed to update cost settings' });
+  }
+});
+
+// Mark an item of the session's restaurant sold out (host/co-host) — same body as the admin
+// availability route; every open or locked session at that restaurant follows
+app.patch('/api/sessions/:id/menu-items/:itemId/availability', auth, loadSession, authorizeSession('session:settings'), async (req, res) => {
+  try {
+    const session = req.sessionDoc;
+    const denied = checkSessionState(session, 'availability');
+    if (denied) return res.status(400).json(denied);
+
+    const restaurant = session.restaurantId ? await Restaurant.findOne({ id: session.restaurantId }) : null;
+    if (!restaurant) return res.status(400).json({ error: 'This session has no restaurant menu' });
+
+    const availability = parseAvailability(req.body);
+    if (availability.error) return res.status(400).json({ error: availability.error });
+    const { menuItem, error } = setSoldOut(restaurant, req.params.itemId, availability);
+    if (error) return res.status(404).json({ error });
+
+    await restaurant.save();
+    const affectedOrders = await propagateAvailability(restaurant, req.user);
+    res.json({ success: true, menuItem, affectedOrders });
+  } catch (err) {
+    console.error('Menu item availability error:', err);
+    res.status(500).json({ error: 'Failed to update availability' });
+  }
+});
+
+// Per-person cap and overall budget (host/co-host) — { perPerson, total, enforcement };
+// null removes a limit. Existing orders are kept; the limits apply to new orders and edits.
+app.patch('/api/sessions/:id/budget', auth, loadSession, authorizeSession('session:settings'), legacyMoney('perPerson', 'total'), async (req, res) => {
+  try {
+    const session = req.sessionDoc;
+    const denied = checkSessionState(session, 'budget');
+    if (denied) return res.status(400).json(denied);
+
+    const before = session.budget?.toObject() || null;
+    const { budget, error } = parseBudget(req.body, before);
+    if (error) return res.status(400).json({ error });
+
+    session.budget = budget;
+    await session.save();
+    logActivity(session.sessionId, req.user, 'session:budget', { before, after: budget });
+
+    const costs = calculateCosts(session);
+    const status = budgetStatus(session, costs);
+    io.to(req.params.id).emit('session-updated', {
+      orders: session.orders,
+      costs,
+      budget: status,
+      summary: costSummary(session, costs),
+    });
+
+    res.json({ success: true, budget: status });
+  } catch (err) {
+    console.error('Update budget error:', err);
+    res.status(500).json({ error: 'Failed to update budget' });
+  }
+});
+
+const receiptUpload = imageUpload('receipt');
+
+// Enter the restaurant's actual bill (optionally with a receipt photo) and share
+// the difference to the computed total — multipart or JSON: { actualTotal, rule }
+app.post('/api/sessions/:id/reconcile', auth, loadSession, authorizeSession('session:settings'), receiptUpload.single('receipt'), legacyMoney('actualTotal'), async (req, res) => {
+  const session = req.sessionDoc;
+  try {
+    const denied = checkSessionState(session, 'reconcile');
+    if (denied) {
+      removeUpload(req.file?.filename);
+      return res.status(400).json(denied);
+    }
+
+    const actualTotal = parseMoney(req.body.actualTotal);
+    const rule = req.body.rule || 'proportional';
+    if (actualTotal === null) {
+      removeUpload(req.file?.filename);
+      return res.status(400).json({ error: withUnitHint('actualTotal must be a non-negative whole number of piastres', req.body.actualTotal) });
+    }
+    if (!RECONCILE_RULES.includes(rule)) {
+      removeUpload(req.file?.filename);
+      return res.status(400).json({ error: `rule must be one of ${RECONCILE_RULES.join(', ')}` });
+    }
+
+    const previous = session.reconciliation?.toObject() || null;
+    const totalsBefore = new Map(calculateCosts(session).map(c => [c.orderId, c.total]));
+
+    // A new photo replaces the old one; without one the old photo is kept
+    if (req.file && previous?.receiptImage) removeUpload(previous.receiptImage);
+    session.reconciliation = {
+      actualTotal,
+      rule,
+      receiptImage: req.file?.filename || previous?.receiptImage || null,
+      by: req.user.name,
+      at: new Date(),
+    };
+    await session.save();
+
+    const costs = calculateCosts(session);
+    const summary = costSummary(session, costs);
+    logActivity(session.sessionId, req.user, 'session:reconcile', {
+      before: previous && { actualTotal: previous.actualTotal, rule: previous.rule, receiptImage: previous.receiptImage },
+      after: { actualTotal, rule, receiptImage: session.reconciliation.receiptImage },
+    });
+
+    io.to(req.params.id).emit('session-updated', {
+      orders: session.orders,
+      costs,
+      summary,
+    });
+
+    res.json({ success: true, reconciliation: summary.reconciliation, costs });
 
-    const name = decodeURIComponent(req.params.name);
-    const idx = session.orders.findIndex(o => o.participantName === name);
-    if (idx < 0) return res.status(404).json({ error: 'Order not found' });
+    // Push notification → tell everyone whose amount changed
+    for (const c of costs) {
+      const before = totalsBefore.get(c.orderId);
+      if (before === undefined || before === c.total) continue;
+      sendPushToParticipant(session, c.orderId, {
+        title: '🧾 Bill updated',
+        body: `${session.hostName} entered the actual bill — your share is now ${formatMoney(c.total)} (was ${formatMoney(before)})`,
+        url: `/join/${req.params.id}`,
+      }).catch(() => {});
+    }
+  } catch (err) {
+    console.error('Reconcile error:', err);
+    res.status(500).json({ error: 'Failed to reconcile bill' });
+  }
+});
 
-    session.orders.splice(idx, 1);
+// Delete an order (host, co-host or the order's owner)
+app.delete('/api/sessions/:id/orders/:orderId', participantAuth, loadSession, authorizeSession('order:delete'), async (req, res) => {
+  try {
+    const session = req.sessionDoc;
+
+    const denied = checkSessionState(session, 'order:delete');
+    if (denied) return res.status(400).json(denied);
+
+    const before = orderSnapshot(req.order);
+    session.orders = session.orders.filter(o => o.orderId !== req.order.orderId);
     await session.save();
+    logActivity(session.sessionId, req.user, 'order:delete', { orderId: req.order.orderId, before });
 
     io.to(req.params.id).emit('session-updated', {
       orders: session.orders,
@@ -559,28 +1100,54 @@ app.delete('/api/sessions/:id/orders/:name', auth, async (req, res) => {
   }
 });
 
-// Edit a participant's order (host can modify items)
-app.put('/api/sessions/:id/orders/:name', auth, async (req, res) => {
+// Edit an order (host/co-host, or the owner for their own order)
+app.put('/api/sessions/:id/orders/:orderId', participantAuth, loadSession, authorizeSession('order:edit'), legacyMoney('items[].price'), async (req, res) => {
   try {
-    const session = await Session.findOne({ sessionId: req.params.id });
-    if (!session) return res.status(404).json({ error: 'Session not found' });
+    const session = req.sessionDoc;
+    const order = req.order;
 
-    const name = decodeURIComponent(req.params.name);
-    const order = session.orders.find(o => o.participantName === name);
-    if (!order) return res.status(404).json({ error: 'Order not found' });
+    // Swapping a sold-out item stays possible for a while after the lock
+    const denied = checkSessionState(session, 'order:edit');
+    if (denied && !(session.status === 'locked' && inSubstituteWindow(order))) return res.status(400).json(denied);
 
     const { items } = req.body;
     if (!Array.isArray(items)) return res.status(400).json({ error: 'items must be an array' });
 
-    // Update items
-    order.items = items.map(i => ({
-      name: (i.name || '').trim(),
-      price: Number(i.price) || 0,
+    // Re-resolve prices against the menu; only hosts can flag items unavailable
+    const { items: resolved, error } = await resolveOrderItems(session, items.map(i => ({
+      ...i,
       quantity: parseInt(i.quantity) || 1,
-      unavailable: !!i.unavailable
-    })).filter(i => i.name);
+    })), { keepSoldOut: true });
+    if (error) return res.status(400).json({ error });
+
+    const before = orderSnapshot(order);
+    const costsBefore = calculateCosts(session);
+    const previousItems = order.items.map(item => item.toObject());
+    const previousSubstituteBy = order.substituteBy;
+    const canFlag = req.sessionRole !== 'owner';
+    // Owners can't change the host's unavailable flags: lines they keep stay flagged
+    const hostFlagged = previousItems.filter(i => i.unavailable && !i.soldOut);
+    const keepsFlag = item => hostFlagged.some(i => i.menuItemId === item.menuItemId
+      && i.variant === item.variant && (i.menuItemId || i.name === item.name));
+    order.items = resolved.map((item, idx) => ({
+      ...item,
+      unavailable: !!item.unavailable || (canFlag ? !!items[idx].unavailable : keepsFlag(item)),
+    }));
+    if (!order.items.some(item => item.soldOut)) order.substituteBy = null;
+
+    const violations = budgetViolations(session, order, costsBefore);
+    if (violations.length && session.budget.enforcement === 'reject') {
+      order.items = previousItems;
+      order.substituteBy = previousSubstituteBy;
+      return res.status(400).json(budgetRejection(violations));
+    }
 
     await session.save();
+    logActivity(session.sessionId, req.user, 'order:edit', {
+      orderId: order.orderId,
+      before,
+      after: orderSnapshot(order),
+    });
 
     io.to(req.params.id).emit('session-updated', {
       orders: session.orders,
@@ -594,25 +1161,107 @@ app.put('/api/sessions/:id/orders/:name', auth, async (req, res) => {
   }
 });
 
-// Update session restaurant (host only)
-app.patch('/api/sessions/:id/restaurant', auth, async (req, res) => {
+// Move the session through its lifecycle (host/co-host)
+// e.g. lock early, reopen with a new deadline, mark ordered/delivered/settled
+// (ordering waits for sold-out substitutes unless { force: true })
+app.patch('/api/sessions/:id/status', auth, loadSession, authorizeSession('session:status'), async (req, res) => {
   try {
-    const session = await Session.findOne({ sessionId: req.params.id });
-    if (!session) return res.status(404).json({ error: 'Session not found' });
-    if (session.host.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Only the host can change the restaurant' });
+    const { status, deadlineMinutes } = req.body;
+    const result = await transitionSession(req.params.id, status, { actor: req.user, deadlineMinutes, force: !!req.body.force });
+    if (result.error) return res.status(400).json({ error: result.error, code: result.code });
+
+    res.json({
+      success: true,
+      status: result.session.status,
+      deadline: result.session.deadline,
+      allowedActions: allowedActions(result.session),
+    });
+  } catch (err) {
+    console.error('Update status error:', err);
+    res.status(500).json({ error: 'Failed to update session status' });
+  }
+});
+
+// Configure deadline reminders (host/co-host)
+app.patch('/api/sessions/:id/reminders', auth, loadSession, authorizeSession('session:settings'), async (req, res) => {
+  try {
+    const session = req.sessionDoc;
+
+    const remindersSnapshot = () => ({
+      enabled: session.reminders.enabled,
+      minutesBefore: [...session.reminders.minutesBefore],
+    });
+    const before = remindersSnapshot();
+    const { enabled, minutesBefore } = req.body;
+    if (enabled !== undefined) session.reminders.enabled = !!enabled;
+    if (minutesBefore !== undefined) {
+      const parsed = parseReminderMinutes(minutesBefore);
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+      session.reminders.minutesBefore = parsed.minutes;
     }
+    await session.save();
+    logActivity(session.sessionId, req.user, 'session:reminders', { before, after: remindersSnapshot() });
+
+    res.json({
+      success: true,
+      reminders: { enabled: session.reminders.enabled, minutesBefore: session.reminders.minutesBefore },
+    });
+  } catch (err) {
+    console.error('Update reminders error:', err);
+    res.status(500).json({ error: 'Failed to update reminders' });
+  }
+});
+
+// Toggle free-text items for a session with a restaurant menu (host/co-host)
+app.patch('/api/sessions/:id/custom-items', auth, loadSession, authorizeSession('session:settings'), async (req, res) => {
+  try {
+    const session = req.sessionDoc;
+    const denied = checkSessionState(session, 'custom-items');
+    if (denied) return res.status(400).json(denied);
+
+    const before = { allowCustomItems: session.allowCustomItems };
+    session.allowCustomItems = !!req.body.allowCustomItems;
+    await session.save();
+    logActivity(session.sessionId, req.user, 'session:custom-items', {
+      before,
+      after: { allowCustomItems: session.allowCustomItems },
+    });
+
+    io.to(req.params.id).emit('session-updated', {
+      orders: session.orders,
+      costs: calculateCosts(session),
+      allowCustomItems: session.allowCustomItems,
+    });
+
+    res.json({ success: true, allowCustomItems: session.allowCustomItems });
+  } catch (err) {
+    console.error('Update custom items error:', err);
+    res.status(500).json({ error: 'Failed to update custom item settings' });
+  }
+});
+
+// Update session restaurant (host/co-host)
+app.patch('/api/sessions/:id/restaurant', auth, loadSession, authorizeSession('session:settings'), async (req, res) => {
+  try {
+    const session = req.sessionDoc;
+    const denied = checkSessionState(session, 'restaurant');
+    if (denied) return res.status(400).json(denied);
 
     const { restaurantId } = req.body;
 
-    // Allow clearing restaurant (set to null)
+    // Allow clearing restaurant (set to null); otherwise shared catalog or the session's team
     if (restaurantId) {
-      const restaurant = await Restaurant.findOne({ id: restaurantId });
-      if (!restaurant) return res.status(404).json({ error: 'Restaurant not found' });
+      const found = await Restaurant.findForTeam(restaurantId, session.team);
+      if (found.error) return res.status(found.status).json({ error: found.error });
     }
 
+    const before = { restaurantId: session.restaurantId };
     session.restaurantId = restaurantId || null;
     await session.save();
+    logActivity(session.sessionId, req.user, 'session:restaurant', {
+      before,
+      after: { restaurantId: session.restaurantId },
+    });
 
     // Broadcast full session update so participants get the new menu
     const populatedSession = await Session.findOne({ sessionId: req.params.id });
@@ -635,13 +1284,115 @@ app.patch('/api/sessions/:id/restaurant', auth, async (req, res) => {
   }
 });
 
+// Session activity log (audit timeline), newest first.
+// Paginate with ?before=<createdAt of the oldest entry you have>
+app.get('/api/sessions/:id/activity', participantAuth, loadSession, authorizeSession('session:activity'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const filter = { sessionId: req.params.id };
+    if (req.query.before) {
+      const before = new Date(req.query.before);
+      if (isNaN(before)) return res.status(400).json({ error: 'before must be a date' });
+      filter.createdAt = { $lt: before };
+    }
+
+    const entries = await Activity.find(filter).sort({ createdAt: -1 }).limit(limit).lean();
+    res.json(entries);
+  } catch (err) {
+    console.error('Activity log error:', err);
+    res.status(500).json({ error: 'Failed to fetch activity' });
+  }
+});
+
+// Add a co-host (host only)
+app.post('/api/sessions/:id/cohosts', auth, loadSession, authorizeSession('session:cohosts'), async (req, res) => {
+  try {
+    const session = req.sessionDoc;
+    const { userId } = req.body;
+    if (!mongoose.isValidObjectId(userId)) return res.status(400).json({ error: 'Invalid userId' });
+    if (userId === req.user.id) return res.status(400).json({ error: 'You are already the host' });
+
+    const user = await User.findById(userId, 'name');
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    if (!isCoHost(session, { id: userId })) {
+      session.coHosts.push({ user: user._id, name: user.name });
+      await session.save();
+      logActivity(session.sessionId, req.user, 'session:cohost-add', { after: { user: user._id, name: user.name } });
+    }
+
+    io.to(req.params.id).emit('session-updated', {
+      orders: session.orders,
+      costs: calculateCosts(session),
+      coHosts: session.coHosts,
+    });
+
+    res.json({ success: true, coHosts: session.coHosts });
+
+    sendPushToUser(user._id, {
+      title: '🤝 You are now a co-host',
+      body: `${session.hostName} made you co-host of their breakfast session`,
+      url: `/host/${req.params.id}`,
+    }).catch(() => {});
+  } catch (err) {
+    console.error('Add co-host error:', err);
+    res.status(500).json({ error: 'Failed to add co-host' });
+  }
+});
+
+// Remove a co-host (host only)
+app.delete('/api/sessions/:id/cohosts/:userId', auth, loadSession, authorizeSession('session:cohosts'), async (req, res) => {
+  try {
+    const session = req.sessionDoc;
+    if (!isCoHost(session, { id: req.params.userId })) {
+      return res.status(404).json({ error: 'Co-host not found' });
+    }
+
+    const removed = session.coHosts.find(c => c.user.toString() === req.params.userId);
+    session.coHosts = session.coHosts.filter(c => c.user.toString() !== req.params.userId);
+    await session.save();
+    logActivity(session.sessionId, req.user, 'session:cohost-remove', {
+      before: { user: removed.user, name: removed.name },
+    });
+
+    io.to(req.params.id).emit('session-updated', {
+      orders: session.orders,
+      costs: calculateCosts(session),
+      coHosts: session.coHosts,
+    });
+
+    res.json({ success: true, coHosts: session.coHosts });
+  } catch (err) {
+    console.error('Remove co-host error:', err);
+    res.status(500).json({ error: 'Failed to remove co-host' });
+  }
+});
+
 // Socket.io
 io.on('connection', (socket) => {
   console.log('Client connected:', socket.id);
   
-  socket.on('join-session', (sessionId) => {
+  // Pass the access (or guest) token to also get the audit stream (session-activity)
+  socket.on('join-session', async (sessionId, token) => {
+    if (typeof sessionId !== 'string') return;
     socket.join(sessionId);
     console.log(`Client ${socket.id} joined session ${sessionId}`);
+
+    const user = participantFromToken(token, sessionId);
+    if (!user) return;
+    try {
+      const session = await Session.findOne({ sessionId }, 'host coHosts orders.user orders.orderedBy orders.guestId');
+      if (session && hasSessionPermission(session, user, 'session:activity')) {
+        socket.join(`activity:${sessionId}`);
+      }
+    } catch (err) {
+      console.error('Join session error:', err.message);
+    }
+  });
+
+  // Live vote counts (see routes/polls.js)
+  socket.on('join-poll', (pollId) => {
+    socket.join(`poll:${pollId}`);
   });
   
   socket.on('disconnect', () => {
@@ -672,7 +1423,11 @@ async function autoMigrateData() {
         googleMapsUrl: r.googleMapsUrl || '',
         phone: r.phone || '',
         menuImages: r.menuImages || [],
-        menuItems: r.menuItems || [],
+        // restaurants.json prices are in EGP
+        menuItems: (r.menuItems || []).map(item => ({
+          ...item,
+          variants: (item.variants || []).map(v => ({ ...v, price: toPiastres(v.price) })),
+        })),
         createdAt: r.createdAt ? new Date(r.createdAt) : new Date(),
       });
       inserted++;
@@ -689,9 +1444,42 @@ async function autoMigrateData() {
   }
 }
 
+// Give orders created before order ids existed a stable id and "ordered by"
+async function backfillOrderIds() {
+  try {
+    const sessions = await Session.collection.find(
+      { orders: { $elemMatch: { orderId: { $exists: false } } } },
+      { projection: { orders: 1 } }
+    ).toArray();
+
+    for (const s of sessions) {
+      const set = {};
+      s.orders.forEach((o, idx) => {
+        if (o.orderId) return;
+        set[`orders.${idx}.orderId`] = nanoid(10);
+        set[`orders.${idx}.orderedBy`] = o.user || null;
+        set[`orders.${idx}.orderedByName`] = o.participantName;
+      });
+      await Session.collection.updateOne({ _id: s._id }, { $set: set });
+    }
+
+    if (sessions.length) console.log(`🔑 Backfilled order ids in ${sessions.length} session(s)`);
+  } catch (err) {
+    console.error('⚠️  Order id backfill failed (non-fatal):', err.message);
+  }
+}
+
 async function start() {
   await connectDB();
   await autoMigrateData();
+  await backfillOrderIds();
+  await migrateSessionStatuses();
+  await migrateMoneyToPiastres();
+  await startDeadlineScheduler();
+  startReminderScheduler();
+  await startTemplateScheduler();
+  await startArchiveScheduler();
+  await startPollScheduler();
   httpServer.listen(PORT, () => {
     console.log(`🍳 Breakfast ordering server running on port ${PORT}`);
   });
@@ -0,0 +1,73 @@
+import Activity from '../models/Activity.js';
+import { emitToSessionActivity } from './realtime.js';
+
+// Plain JSON copy (ObjectIds → strings, Dates → ISO strings, subdocs → objects)
+function plain(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Field-level differences between two snapshots, as [{ path, before, after }].
+ */
+export function diffSnapshots(before, after, path = '') {
+  const isObject = v => v !== null && typeof v === 'object';
+  if (!isObject(before) || !isObject(after)) {
+    return JSON.stringify(before) === JSON.stringify(after)
+      ? []
+      : [{ path: path || '.', before, after }];
+  }
+
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes = [];
+  for (const key of keys) {
+    const childPath = path ? `${path}.${key}` : key;
+    changes.push(...diffSnapshots(before[key] ?? null, after[key] ?? null, childPath));
+  }
+  return changes;
+}
+
+/**
+ * Snapshot of an order as it appears in the audit log.
+ */
+export function orderSnapshot(order) {
+  if (!order) return null;
+  const o = plain(order);
+  return {
+    orderId: o.orderId,
+    participantName: o.participantName,
+    orderedByName: o.orderedByName,
+    items: o.items,
+    payment: o.payment,
+  };
+}
+
+/**
+ * Append an audit entry for a session mutation and stream it to the
+ * session's authorized sockets. Never throws — auditing must not break the request.
+ *
+ * actor: req.user ({ id, name } or a guest), or null for the system.
+ */
+export async function logActivity(sessionId, actor, action, { before = null, after = null, orderId = null } = {}) {
+  try {
+    const snapshotBefore = plain(before);
+    const snapshotAfter = plain(after);
+    const entry = await Activity.create({
+      sessionId,
+      actor: {
+        user: actor?.id || null,
+        guestId: actor?.guestId || null,
+        name: actor?.name || null,
+      },
+      action,
+      orderId,
+      before: snapshotBefore,
+      after: snapshotAfter,
+      diff: diffSnapshots(snapshotBefore, snapshotAfter),
+    });
+    emitToSessionActivity(sessionId, 'session-activity', entry.toObject());
+    return entry;
+  } catch (err) {
+    console.error(`Activity log error (${sessionId} ${action}):`, err.message);
+    return null;
+  }
+}
@@ -0,0 +1,20 @@
+/**
+ * Fold the spelling variations people (and menu OCR) use for the same Arabic
+ * words, so "فول بالزيت الحار" and "فول بالزيت الحارّ" compare equal:
+ * diacritics and tatweel dropped, alef/yeh/teh marbuta/hamza seats unified,
+ * Arabic-Indic digits turned into Western ones, punctuation and extra
+ * spaces removed, Latin letters lower-cased.
+ */
+export function normalizeArabic(text) {
+  return String(text || '')
+    .replace(/[\u064B-\u065F\u0670\u0640]/g, '') // tashkeel, superscript alef, tatweel
+    .replace(/[\u0622\u0623\u0625\u0671]/g, '\u0627') // آ أ إ ٱ → ا
+    .replace(/[\u0649\u0626]/g, '\u064A') // ى ئ → ي
+    .replace(/\u0629/g, '\u0647') // ة → ه
+    .replace(/\u0624/g, '\u0648') // ؤ → و
+    .replace(/[\u0660-\u0669]/g, d => String(d.charCodeAt(0) - 0x0660))
+    .replace(/[\u06F0-\u06F9]/g, d => String(d.charCodeAt(0) - 0x06F0))
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
@@ -0,0 +1,139 @@
+import Session from '../models/Session.js';
+import { calculateCosts } from './costs.js';
+import { emitToSession } from './realtime.js';
+import { sendPushToUser } from './pushService.js';
+import { logActivity, orderSnapshot } from './activityLog.js';
+import { endOfLocalDay, isValidTimezone, DEFAULT_TIMEZONE } from './timezone.js';
+
+// How long participants get to pick a substitute for a sold-out item
+export const SUBSTITUTE_MINUTES = parseInt(process.env.SUBSTITUTE_WINDOW_MINUTES) || 10;
+
+// Sessions whose orders haven't been called in yet
+const PENDING_STATES = ['open', 'locked'];
+
+/**
+ * Whether a menu item or variant is sold out right now ("today only" flags
+ * lapse at the end of the day on their own).
+ */
+export function isSoldOut(entry, now = new Date()) {
+  return !!entry?.soldOut && (!entry.soldOutUntil || entry.soldOutUntil > now);
+}
+
+/**
+ * Whether an order line for `menuItem` in size `variantLabel` can't be ordered.
+ */
+export function isItemSoldOut(menuItem, variantLabel, now = new Date()) {
+  return isSoldOut(menuItem, now) || isSoldOut((menuItem.variants || []).find(v => v.label === variantLabel), now);
+}
+
+/**
+ * Whether the participant can still swap a sold-out item on this order.
+ */
+export function inSubstituteWindow(order, now = new Date()) {
+  return !!order.substituteBy && order.substituteBy > now;
+}
+
+/**
+ * Validate a sold-out toggle: { soldOut, variant?, scope: 'today' | 'indefinite', timezone? }.
+ * Returns { soldOut, variant, until } or { error }.
+ */
+export function parseAvailability(input) {
+  const { soldOut, variant, scope = 'today', timezone = DEFAULT_TIMEZONE } = input || {};
+  if (typeof soldOut !== 'boolean') return { error: 'soldOut must be true or false' };
+  if (!['today', 'indefinite'].includes(scope)) return { error: 'scope must be "today" or "indefinite"' };
+  if (!isValidTimezone(timezone)) return { error: 'Unknown timezone' };
+  if (variant !== undefined && variant !== null && typeof variant !== 'string') {
+    return { error: 'variant must be a size label' };
+  }
+  return {
+    soldOut,
+    variant: variant || null,
+    until: soldOut && scope === 'today' ? endOfLocalDay(new Date(), timezone) : null,
+  };
+}
+
+/**
+ * Mark a menu item (or one of its sizes) sold out or back on, on the
+ * restaurant document — the caller saves it. Returns { menuItem } or { error }.
+ */
+export function setSoldOut(restaurant, itemId, { soldOut, variant, until }) {
+  const menuItem = (restaurant.menuItems || []).find(m => m.id === itemId);
+  if (!menuItem) return { error: 'Menu item not found' };
+
+  const target = variant ? menuItem.variants.find(v => v.label === variant) : menuItem;
+  if (!target) return { error: `"${menuItem.name}" has no size "${variant}"` };
+  target.soldOut = soldOut;
+  target.soldOutUntil = until;
+  return { menuItem };
+}
+
+/**
+ * Bring the restaurant's sold-out flags into its open and locked sessions:
+ * matching order lines are flagged unavailable (and un-flagged when the item
+ * is back), costs are re-broadcast, and the people affected get a push and
+ * SUBSTITUTE_MINUTES to pick something else. Returns the number of orders
+ * that lost an item.
+ */
+export async function propagateAvailability(restaurant, actor = null) {
+  const now = new Date();
+  const menuItems = new Map((restaurant.menuItems || []).map(m => [m.id, m]));
+  const sessions = await Session.find({ restaurantId: restaurant.id, status: { $in: PENDING_STATES } });
+  let affectedOrders = 0;
+
+  for (const session of sessions) {
+    const changes = [];
+    for (const order of session.orders) {
+      const before = orderSnapshot(order);
+      const soldOutNames = [];
+      let changed = false;
+
+      for (const item of order.items) {
+        const menuItem = menuItems.get(item.menuItemId);
+        if (!menuItem) continue;
+        const soldOut = isItemSoldOut(menuItem, item.variant, now);
+        if (soldOut && !item.unavailable) {
+          item.unavailable = true;
+          item.soldOut = true;
+          soldOutNames.push(item.name);
+          changed = true;
+        } else if (!soldOut && item.soldOut) {
+          item.unavailable = false;
+          item.soldOut = false;
+          changed = true;
+        }
+      }
+      if (!changed) continue;
+
+      if (soldOutNames.length) {
+        order.substituteBy = new Date(now.getTime() + SUBSTITUTE_MINUTES * 60 * 1000);
+      } else if (!order.items.some(item => item.soldOut)) {
+        order.substituteBy = null;
+      }
+      changes.push({ order, before, soldOutNames });
+    }
+    if (changes.length === 0) continue;
+
+    await session.save();
+    for (const { order, before } of changes) {
+      logActivity(session.sessionId, actor, 'order:sold-out', { orderId: order.orderId, before, after: orderSnapshot(order) });
+    }
+    emitToSession(session.sessionId, 'session-updated', {
+      orders: session.orders,
+      costs: calculateCosts(session),
+    });
+
+    // Push notification → whoever lost an item (or placed the order for someone without an account)
+    const lost = changes.filter(c => c.soldOutNames.length);
+    affectedOrders += lost.length;
+    await Promise.allSettled(lost.map(({ order, soldOutNames }) => {
+      const recipient = order.user || order.orderedBy;
+      if (!recipient) return null;
+      return sendPushToUser(recipient, {
+        title: '🚫 Sold out',
+        body: `${soldOutNames.join('، ')} — sold out at ${restaurant.name}. Pick a substitute in the next ${SUBSTITUTE_MINUTES} minutes.`,
+        url: `/join/${session.sessionId}`,
+      });
+    }));
+  }
+  return affectedOrders;
+}
@@ -0,0 +1,129 @@
+import { calculateCosts, personKey } from './costs.js';
+import { formatMoney, parseMoney, withUnitHint } from './money.js';
+
+export const BUDGET_ENFORCEMENT = ['reject', 'warn'];
+
+const sumOf = values => values.reduce((a, b) => a + b, 0);
+
+/**
+ * Validate a (partial) budget update on top of the current one. Limits are
+ * piastres; null removes a limit. Returns { budget } (null when no limit is
+ * left) or { error }.
+ */
+export function parseBudget(input, current = null) {
+  if (!input || typeof input !== 'object') return { error: 'budget must be an object' };
+  const budget = {
+    perPerson: current?.perPerson ?? null,
+    total: current?.total ?? null,
+    enforcement: current?.enforcement || 'reject',
+  };
+
+  for (const key of ['perPerson', 'total']) {
+    if (input[key] === undefined) continue;
+    if (input[key] === null) {
+      budget[key] = null;
+      continue;
+    }
+    const amount = parseMoney(input[key]);
+    if (!amount) return { error: withUnitHint(`budget.${key} must be a positive whole number of piastres, or null`, input[key]) };
+    budget[key] = amount;
+  }
+
+  if (input.enforcement !== undefined) {
+    if (!BUDGET_ENFORCEMENT.includes(input.enforcement)) {
+      return { error: `budget.enforcement must be one of ${BUDGET_ENFORCEMENT.join(', ')}` };
+    }
+    budget.enforcement = input.enforcement;
+  }
+
+  return { budget: budget.perPerson || budget.total ? budget : null };
+}
+
+// What each person spends, by personKey
+function spendingByPerson(session, costs) {
+  const ordersById = new Map(session.orders.map(order => [order.orderId, order]));
+  const people = new Map();
+  for (const cost of costs) {
+    const order = ordersById.get(cost.orderId);
+    if (!order) continue;
+    const key = personKey(order);
+    const person = people.get(key) || { key, name: order.participantName, spent: 0 };
+    person.spent += cost.total;
+    people.set(key, person);
+  }
+  return people;
+}
+
+/**
+ * Remaining budget as shown in the session view, or null when the session
+ * has no limits. Amounts include each person's share of delivery and fees.
+ */
+export function budgetStatus(session, costs = calculateCosts(session)) {
+  const budget = session.budget;
+  if (!budget?.perPerson && !budget?.total) return null;
+
+  const spent = sumOf(costs.map(c => c.total));
+  const cap = budget.perPerson;
+  return {
+    perPerson: cap || null,
+    total: budget.total || null,
+    enforcement: budget.enforcement,
+    spent,
+    remaining: budget.total ? budget.total - spent : null,
+    people: [...spendingByPerson(session, costs).values()].map(person => ({
+      ...person,
+      remaining: cap ? Math.max(cap - person.spent, 0) : null,
+      overCap: cap ? Math.max(person.spent - cap, 0) : 0,
+    })),
+  };
+}
+
+/**
+ * Limits broken by a change to `order` that is already applied to the
+ * session, compared with the costs from before it (`before`). Only a change
+ * that raises an amount over its limit counts, so a person already over the
+ * cap can still remove items. Returns [{ code, error, ... }].
+ */
+export function budgetViolations(session, order, before = []) {
+  const budget = session.budget;
+  if (!budget?.perPerson && !budget?.total) return [];
+
+  const after = calculateCosts(session);
+  const violations = [];
+
+  if (budget.perPerson) {
+    const key = personKey(order);
+    const spentBefore = spendingByPerson(session, before).get(key)?.spent || 0;
+    const spent = spendingByPerson(session, after).get(key)?.spent || 0;
+    if (spent > budget.perPerson && spent > spentBefore) {
+      violations.push({
+        code: 'OVER_PERSON_CAP',
+        error: `${order.participantName}'s orders come to ${formatMoney(spent)}, over the ${formatMoney(budget.perPerson)} per-person cap`,
+        limit: budget.perPerson,
+        spent,
+      });
+    }
+  }
+
+  if (budget.total) {
+    const spentBefore = sumOf(before.map(c => c.total));
+    const spent = sumOf(after.map(c => c.total));
+    if (spent > budget.total && spent > spentBefore) {
+      violations.push({
+        code: 'OVER_SESSION_BUDGET',
+        error: `The session would come to ${formatMoney(spent)}, over its ${formatMoney(budget.total)} budget`,
+        limit: budget.total,
+        spent,
+      });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * 400 body for an order refused by the session's budget.
+ */
+export function budgetRejection(violations) {
+  return { error: violations[0].error, code: violations[0].code, violations };
+}
@@ -0,0 +1,305 @@
+/**
+ * Per-participant cost breakdown for a session. Amounts are integer piastres;
+ * every session-level amount is split with largest-remainder allocation, so
+ * the components add up exactly to the session totals.
+ *
+ * For each order:
+ *   itemsTotal      — menu lines (unavailable items excluded)
+ *   discount        — percent of itemsTotal, or a fixed discount shared in proportion to itemsTotal
+ *   serviceCharge   — % of the discounted items
+ *   vat             — % of discounted items + service charge
+ *   deliveryShare   — delivery fee, shared by the session's split mode
+ *   tipShare        — tip, shared like the delivery fee
+ *   billAdjustment  — share of the difference to the actual bill, once reconciled
+ *   rounding        — adjustment to the session's rounding step (costSettings.roundTo)
+ *   total
+ *   overCap         — part of the total above the session's per-person budget cap
+ *   chargeback      — overCap of a treated order: the participant still owes it
+ */
+import { itemLineTotal, describeItem } from './orderItems.js';
+import { allocate, parseMoney, roundToStep, withUnitHint } from './money.js';
+
+export const SPLIT_MODES = ['equal', 'proportional', 'exclude-treated', 'host-absorbs'];
+export const RECONCILE_RULES = ['proportional', 'equal', 'host-absorbs'];
+
+const DEFAULT_SETTINGS = {
+  splitMode: 'equal',
+  serviceChargePercent: 0,
+  vatPercent: 0,
+  tip: 0,
+  discount: { type: 'fixed', value: 0 },
+  roundTo: 1,
+};
+
+/**
+ * Who an order is for: the account, or the free-text name for everyone else.
+ * Budget caps apply per person across all of their orders.
+ */
+export function personKey(order) {
+  return order.user ? order.user.toString() : `name:${order.participantName.trim().toLowerCase()}`;
+}
+
+/**
+ * Per-order amounts above the per-person cap, shared across each person's
+ * orders in proportion to what they cost.
+ */
+function overCapShares(participants, dues, cap) {
+  const shares = participants.map(() => 0);
+  if (!cap) return shares;
+
+  const byPerson = new Map();
+  participants.forEach((order, idx) => {
+    const key = personKey(order);
+    if (!byPerson.has(key)) byPerson.set(key, []);
+    byPerson.get(key).push(idx);
+  });
+  for (const indexes of byPerson.values()) {
+    const over = sumOf(indexes.map(idx => dues[idx])) - cap;
+    if (over <= 0) continue;
+    allocate(over, indexes.map(idx => dues[idx])).forEach((share, i) => { shares[indexes[i]] = share; });
+  }
+  return shares;
+}
+
+/**
+ * Share a bill difference equally. When the bill came out lower, nobody goes
+ * below zero: what a small order can't absorb is spread over the others.
+ */
+function equalAdjustments(difference, computed) {
+  if (difference > 0) return allocate(difference, computed.map(() => 1));
+
+  const adjustments = computed.map(() => 0);
+  let open = computed.map((_, idx) => idx);
+  let left = difference;
+  while (left < 0 && open.length) {
+    const shares = allocate(left, open.map(() => 1));
+    const stillOpen = [];
+    open.forEach((idx, i) => {
+      const floor = -(computed[idx] + adjustments[idx]);
+      const share = Math.max(shares[i], floor);
+      adjustments[idx] += share;
+      left -= share;
+      if (share > floor) stillOpen.push(idx);
+    });
+    open = stillOpen;
+  }
+  return adjustments;
+}
+
+export function costSettingsOf(session) {
+  const settings = session.costSettings?.toObject ? session.costSettings.toObject() : session.costSettings;
+  return {
+    ...DEFAULT_SETTINGS,
+    ...settings,
+    discount: { ...DEFAULT_SETTINGS.discount, ...settings?.discount },
+  };
+}
+
+function orderItemsTotal(order) {
+  return order.items.reduce((sum, item) => sum + (item.unavailable ? 0 : itemLineTotal(item)), 0);
+}
+
+function isTreated(order) {
+  return order.payment?.status === 'treated';
+}
+
+const sumOf = values => values.reduce((a, b) => a + b, 0);
+
+/**
+ * Weights for sharing the delivery fee and tip, or null when the host absorbs them.
+ */
+function feeWeights(orders, itemsTotals, splitMode) {
+  switch (splitMode) {
+    case 'proportional':
+      return itemsTotals;
+    case 'exclude-treated':
+      return orders.map(o => (isTreated(o) ? 0 : 1));
+    case 'host-absorbs':
+      return null;
+    default:
+      return orders.map(() => 1);
+  }
+}
+
+export function calculateCosts(session) {
+  const participants = session.orders || [];
+  if (participants.length === 0) return [];
+
+  const settings = costSettingsOf(session);
+  const itemsTotals = participants.map(orderItemsTotal);
+
+  const foodTotal = sumOf(itemsTotals);
+
+  const discountTotal = settings.discount.type === 'percent'
+    ? Math.round(foodTotal * Math.min(settings.discount.value, 100) / 100)
+    : Math.min(settings.discount.value, foodTotal);
+  const discounts = allocate(discountTotal, itemsTotals);
+
+  const nets = itemsTotals.map((t, idx) => t - discounts[idx]);
+  const serviceCharges = allocate(Math.round(sumOf(nets) * settings.serviceChargePercent / 100), nets);
+  const vatBases = nets.map((n, idx) => n + serviceCharges[idx]);
+  const vats = allocate(Math.round(sumOf(vatBases) * settings.vatPercent / 100), vatBases);
+
+  const weights = feeWeights(participants, itemsTotals, settings.splitMode);
+  const deliveryShares = weights ? allocate(session.deliveryFee, weights) : participants.map(() => 0);
+  const tipShares = weights ? allocate(settings.tip, weights) : participants.map(() => 0);
+
+  const computed = vatBases.map((v, idx) => v + vats[idx] + deliveryShares[idx] + tipShares[idx]);
+
+  // Once the host entered the actual bill, share the difference by the chosen rule
+  const reconciliation = session.reconciliation;
+  const difference = reconciliation ? reconciliation.actualTotal - sumOf(computed) : 0;
+  let adjustments = participants.map(() => 0);
+  if (difference && reconciliation.rule !== 'host-absorbs') {
+    adjustments = reconciliation.rule === 'equal'
+      ? equalAdjustments(difference, computed)
+      : allocate(difference, computed);
+  }
+  const exact = computed.map((c, idx) => c + adjustments[idx]);
+
+  // Round the grand total to the session's step, then share it out again in
+  // whole steps so every participant pays a round amount
+  const step = settings.roundTo;
+  const dues = step > 1
+    ? allocate(roundToStep(sumOf(exact), step) / step, exact).map(units => units * step)
+    : exact;
+
+  const overCaps = overCapShares(participants, dues, session.budget?.perPerson || 0);
+
+  return participants.map((order, idx) => {
+    const itemsTotal = itemsTotals[idx];
+    const discount = discounts[idx];
+    const serviceCharge = serviceCharges[idx];
+    const vat = vats[idx];
+    const deliveryShare = deliveryShares[idx];
+    const tipShare = tipShares[idx];
+
+    // Backward compat: migrate old paymentSent boolean to new payment object
+    const payment = order.payment?.status
+      ? order.payment
+      : { status: order.paymentSent ? 'paid' : 'pending', method: 'transfer', paidBy: null, confirmedByHost: false, paidAt: null };
+
+    return {
+      orderId: order.orderId,
+      name: order.participantName,
+      user: order.user || null,
+      orderedByName: order.orderedByName || order.participantName,
+      itemsTotal,
+      discount,
+      serviceCharge,
+      vat,
+      deliveryShare,
+      tipShare,
+      billAdjustment: adjustments[idx],
+      rounding: dues[idx] - exact[idx],
+      total: dues[idx],
+      overCap: overCaps[idx],
+      chargeback: payment.status === 'treated' ? overCaps[idx] : 0,
+      // Each line carries its add-on total and the summary read to the restaurant
+      items: order.items.map(item => ({
+        ...(item.toObject ? item.toObject() : item),
+        lineTotal: item.unavailable ? 0 : itemLineTotal(item),
+        summary: describeItem(item),
+      })),
+      payment,
+      // Keep for backward compat
+      paymentSent: payment.status !== 'pending'
+    };
+  });
+}
+
+function reconciliationSummary(session, costs) {
+  const reconciliation = session.reconciliation;
+  if (!reconciliation) return null;
+  const computedTotal = costs.reduce((total, c) => total + c.total - c.billAdjustment - c.rounding, 0);
+  return {
+    actualTotal: reconciliation.actualTotal,
+    computedTotal,
+    difference: reconciliation.actualTotal - computedTotal,
+    rule: reconciliation.rule,
+    receiptImage: reconciliation.receiptImage,
+    by: reconciliation.by,
+    at: reconciliation.at,
+  };
+}
+
+/**
+ * Session-level totals for a cost breakdown.
+ */
+export function costSummary(session, costs = calculateCosts(session)) {
+  const settings = costSettingsOf(session);
+  const sum = key => costs.reduce((total, c) => total + c[key], 0);
+  const hostAbsorbs = settings.splitMode === 'host-absorbs' || costs.length === 0;
+
+  return {
+    splitMode: settings.splitMode,
+    totalFood: sum('itemsTotal'),
+    totalDiscount: sum('discount'),
+    totalServiceCharge: sum('serviceCharge'),
+    totalVat: sum('vat'),
+    totalDelivery: session.deliveryFee,
+    totalTip: settings.tip,
+    // Fees the host pays without charging anyone
+    absorbedByHost: hostAbsorbs ? session.deliveryFee + settings.tip : 0,
+    reconciliation: reconciliationSummary(session, costs),
+    roundTo: settings.roundTo,
+    // What rounding added to (or took off) the bill; the host keeps or covers it
+    roundingAdjustment: sum('rounding'),
+    grandTotal: sum('total'),
+    // Treated amounts above the per-person cap, still owed by the participants
+    totalChargeback: sum('chargeback'),
+  };
+}
+
+/**
+ * Validate a (partial) cost settings update on top of the current settings.
+ * Returns { settings } or { error }.
+ */
+export function parseCostSettings(input, current = DEFAULT_SETTINGS) {
+  if (!input || typeof input !== 'object') return { error: 'costSettings must be an object' };
+  const settings = { ...current, discount: { ...current.discount } };
+
+  if (input.splitMode !== undefined) {
+    if (!SPLIT_MODES.includes(input.splitMode)) {
+      return { error: `splitMode must be one of ${SPLIT_MODES.join(', ')}` };
+    }
+    settings.splitMode = input.splitMode;
+  }
+
+  for (const key of ['serviceChargePercent', 'vatPercent']) {
+    if (input[key] === undefined) continue;
+    const value = parseFloat(input[key]);
+    if (isNaN(value) || value < 0 || value > 100) return { error: `${key} must be between 0 and 100` };
+    settings[key] = value;
+  }
+
+  if (input.tip !== undefined) {
+    const tip = parseMoney(input.tip);
+    if (tip === null) return { error: withUnitHint('tip must be a non-negative whole number of piastres', input.tip) };
+    settings.tip = tip;
+  }
+
+  if (input.roundTo !== undefined) {
+    const roundTo = parseMoney(input.roundTo);
+    if (!roundTo) return { error: withUnitHint('roundTo must be a positive whole number of piastres (e.g. 50 or 100)', input.roundTo) };
+    settings.roundTo = roundTo;
+  }
+
+  if (input.discount !== undefined) {
+    const { type = settings.discount.type, value = settings.discount.value } = input.discount || {};
+    if (!['fixed', 'percent'].includes(type)) return { error: 'discount.type must be fixed or percent' };
+    if (type === 'percent') {
+      const percent = parseFloat(value);
+      if (isNaN(percent) || percent < 0 || percent > 100) {
+        return { error: 'A percent discount must be between 0 and 100' };
+      }
+      settings.discount = { type, value: percent };
+    } else {
+      const amount = parseMoney(value);
+      if (amount === null) return { error: withUnitHint('A fixed discount must be a non-negative whole number of piastres', value) };
+      settings.discount = { type, value: amount };
+    }
+  }
+
+  return { settings };
+}
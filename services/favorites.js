@@ -0,0 +1,40 @@
+import FavoriteOrder from '../models/FavoriteOrder.js';
+import { matchReorderItems } from './reorder.js';
+
+/**
+ * Why a preset no longer matches the restaurant's menu — one line per
+ * changed item; empty when it is still up to date.
+ */
+export function staleReasonsFor(restaurant, favorite) {
+  const { report } = matchReorderItems(restaurant, favorite.items, { customAllowed: false });
+  const reasons = [];
+  for (const entry of report) {
+    if (entry.status === 'missing') reasons.push(`"${entry.name}": ${entry.reason}`);
+    else if (entry.matchedBy !== 'id') reasons.push(`"${entry.name}" was re-added to the menu`);
+    else if (entry.currentName !== entry.name) reasons.push(`"${entry.name}" is now "${entry.currentName}"`);
+    else if (entry.currentVariant !== entry.variant) reasons.push(`"${entry.name}": size "${entry.variant}" changed`);
+    else if (entry.priceChanged) reasons.push(`"${entry.name}": price changed`);
+    if (entry.droppedModifiers?.length) {
+      reasons.push(`"${entry.name}": ${entry.droppedModifiers.join(', ')} no longer offered`);
+    }
+  }
+  return reasons;
+}
+
+/**
+ * Re-check every preset for a restaurant after its menu or add-ons were
+ * saved, flagging the ones that point to changed or deleted items.
+ * Presets that match again (e.g. an item was restored) are un-flagged.
+ */
+export async function flagStaleFavorites(restaurant) {
+  const favorites = await FavoriteOrder.find({ restaurantId: restaurant.id });
+  const updates = [];
+  for (const favorite of favorites) {
+    const staleReasons = staleReasonsFor(restaurant, favorite);
+    const stale = staleReasons.length > 0;
+    if (stale === favorite.stale && staleReasons.join('\n') === favorite.staleReasons.join('\n')) continue;
+    updates.push({ updateOne: { filter: { _id: favorite._id }, update: { $set: { stale, staleReasons } } } });
+  }
+  if (updates.length) await FavoriteOrder.bulkWrite(updates);
+  return updates.length;
+}
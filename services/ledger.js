@@ -0,0 +1,182 @@
+import mongoose from 'mongoose';
+import { nanoid } from 'nanoid';
+import LedgerEntry from '../models/LedgerEntry.js';
+import { calculateCosts } from './costs.js';
+
+/**
+ * Record what each participant still owes the host when a session is settled.
+ * Treated orders and payments the host confirmed are square; everything else —
+ * including payments marked as sent but not yet confirmed — stays open.
+ * A treat only covers up to the session's per-person cap: the part above it
+ * (the order's chargeback) is still owed.
+ * Orders placed for someone without an account are owed by whoever placed them.
+ */
+export async function recordSessionDebts(session) {
+  const costs = new Map(calculateCosts(session).map(c => [c.orderId, c]));
+  const hostId = session.host.toString();
+
+  const entries = [];
+  for (const order of session.orders || []) {
+    const treated = order.payment?.status === 'treated';
+    if (!treated && order.payment?.confirmedByHost) continue;
+    const debtor = order.user || order.orderedBy;
+    const cost = costs.get(order.orderId);
+    const amount = (treated ? cost?.chargeback : cost?.total) || 0;
+    if (!debtor || debtor.toString() === hostId || amount <= 0) continue;
+
+    entries.push({
+      debtor,
+      debtorName: order.user ? order.participantName : order.orderedByName,
+      creditor: session.host,
+      creditorName: session.hostName,
+      amount,
+      source: 'session',
+      sessionId: session.sessionId,
+      orderId: order.orderId,
+      team: session.team || null,
+    });
+  }
+  if (entries.length === 0) return 0;
+
+  // Upserts keep this idempotent if the same session is recorded twice
+  const result = await LedgerEntry.bulkWrite(entries.map(entry => ({
+    updateOne: {
+      filter: { source: 'session', sessionId: entry.sessionId, orderId: entry.orderId },
+      update: { $setOnInsert: entry },
+      upsert: true,
+    },
+  })));
+  return result.upsertedCount;
+}
+
+const toId = id => new mongoose.Types.ObjectId(String(id));
+
+/**
+ * Open entries between two users, in either direction.
+ */
+export function openEntriesBetween(userA, userB) {
+  return LedgerEntry.find({
+    status: 'open',
+    $or: [
+      { debtor: toId(userA), creditor: toId(userB) },
+      { debtor: toId(userB), creditor: toId(userA) },
+    ],
+  }).sort({ createdAt: 1 });
+}
+
+/**
+ * Net balance from userA's point of view: positive = userB owes userA.
+ */
+export function netFromEntries(entries, userA) {
+  return entries.reduce((net, e) =>
+    net + (e.creditor.toString() === String(userA) ? e.amount : -e.amount), 0);
+}
+
+/**
+ * Net balance with every counterpart: [{ user, name, net }], positive = they owe me.
+ */
+export async function balancesFor(userId) {
+  const me = toId(userId);
+  const rows = await LedgerEntry.aggregate([
+    { $match: { status: 'open', $or: [{ debtor: me }, { creditor: me }] } },
+    {
+      $project: {
+        counterpart: { $cond: [{ $eq: ['$creditor', me] }, '$debtor', '$creditor'] },
+        name: { $cond: [{ $eq: ['$creditor', me] }, '$debtorName', '$creditorName'] },
+        signed: { $cond: [{ $eq: ['$creditor', me] }, '$amount', { $multiply: ['$amount', -1] }] },
+        createdAt: 1,
+      },
+    },
+    { $sort: { createdAt: -1 } },
+    { $group: { _id: '$counterpart', name: { $first: '$name' }, net: { $sum: '$signed' }, entries: { $sum: 1 } } },
+  ]);
+  return rows
+    .filter(r => r.net !== 0)
+    .map(r => ({ user: r._id, name: r.name, net: r.net, entries: r.entries }))
+    .sort((a, b) => Math.abs(b.net) - Math.abs(a.net));
+}
+
+/**
+ * Mark entries settled together under one settlement id.
+ */
+export async function settleEntries(entries, settledBy) {
+  const settlementId = nanoid(10);
+  await LedgerEntry.updateMany(
+    { _id: { $in: entries.map(e => e._id) }, status: 'open' },
+    { $set: { status: 'settled', settlementId, settledBy, settledAt: new Date() } }
+  );
+  return settlementId;
+}
+
+/**
+ * Fewest transfers that clear the given debts: every member's net position
+ * is kept, but "A→B→C" becomes "A→C". Returns [{ from, fromName, to, toName, amount }].
+ */
+export function simplifyDebts(entries) {
+  const net = new Map();
+  const names = new Map();
+  for (const e of entries) {
+    const debtor = e.debtor.toString();
+    const creditor = e.creditor.toString();
+    names.set(debtor, e.debtorName);
+    names.set(creditor, e.creditorName);
+    net.set(debtor, (net.get(debtor) || 0) - e.amount);
+    net.set(creditor, (net.get(creditor) || 0) + e.amount);
+  }
+
+  const debtors = [...net].filter(([, n]) => n < 0).map(([id, n]) => ({ id, left: -n }));
+  const creditors = [...net].filter(([, n]) => n > 0).map(([id, n]) => ({ id, left: n }));
+  debtors.sort((a, b) => b.left - a.left);
+  creditors.sort((a, b) => b.left - a.left);
+
+  // Greedy: largest debtor pays largest creditor
+  const transfers = [];
+  let d = 0, c = 0;
+  while (d < debtors.length && c < creditors.length) {
+    const amount = Math.min(debtors[d].left, creditors[c].left);
+    transfers.push({
+      from: debtors[d].id,
+      fromName: names.get(debtors[d].id),
+      to: creditors[c].id,
+      toName: names.get(creditors[c].id),
+      amount,
+    });
+    debtors[d].left -= amount;
+    creditors[c].left -= amount;
+    if (debtors[d].left === 0) d++;
+    if (creditors[c].left === 0) c++;
+  }
+  return transfers;
+}
+
+/**
+ * Open entries where both sides are in `memberIds`.
+ */
+export function openEntriesAmong(memberIds) {
+  const ids = memberIds.map(toId);
+  return LedgerEntry.find({ status: 'open', debtor: { $in: ids }, creditor: { $in: ids } });
+}
+
+/**
+ * Replace a team's open debts with the simplified transfers. The originals
+ * are settled under one settlement id that the new entries point back to.
+ */
+export async function applySimplification(entries, teamId, settledBy) {
+  const settlementId = await settleEntries(entries, settledBy);
+  // Simplify what was actually settled here, in case another request got to some entries first
+  const settled = await LedgerEntry.find({ settlementId });
+  const transfers = simplifyDebts(settled);
+  if (transfers.length) {
+    await LedgerEntry.insertMany(transfers.map(t => ({
+      debtor: t.from,
+      debtorName: t.fromName,
+      creditor: t.to,
+      creditorName: t.toName,
+      amount: t.amount,
+      source: 'simplification',
+      team: teamId,
+      simplifiedFrom: settlementId,
+    })));
+  }
+  return { settlementId, transfers };
+}
@@ -0,0 +1,79 @@
+/**
+ * Money helpers. All amounts in sessions, templates and menus are integer
+ * piastres (1 EGP = 100 piastres) so totals add up exactly.
+ */
+export const PIASTRES_PER_EGP = 100;
+
+/**
+ * EGP amount (possibly fractional, e.g. from menu extraction) → piastres.
+ */
+export function toPiastres(egp) {
+  return Math.round((Number(egp) || 0) * PIASTRES_PER_EGP);
+}
+
+/**
+ * Validate an amount sent by a client: a non-negative whole number of piastres.
+ * Returns the amount, or null when invalid.
+ */
+export function parseMoney(value) {
+  const amount = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  return Number.isInteger(amount) && amount >= 0 ? amount : null;
+}
+
+/**
+ * Error message for an amount parseMoney() refused. Amounts used to be EGP,
+ * so a fractional value (e.g. 12.5) gets the piastres to send instead.
+ */
+export function withUnitHint(message, value) {
+  const egp = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof egp !== 'number' || !Number.isFinite(egp) || egp < 0 || Number.isInteger(egp)) return message;
+  return `${message} — amounts are in piastres: send ${toPiastres(egp)} for ${egp} EGP`;
+}
+
+/**
+ * "12.50 EGP"-style display string for an amount in piastres.
+ */
+export function formatMoney(piastres, currency = 'EGP') {
+  const sign = piastres < 0 ? '-' : '';
+  const abs = Math.abs(piastres);
+  const pounds = Math.floor(abs / PIASTRES_PER_EGP);
+  const rest = abs % PIASTRES_PER_EGP;
+  return `${sign}${pounds}${rest ? `.${String(rest).padStart(2, '0')}` : ''} ${currency}`;
+}
+
+/**
+ * Round to the nearest multiple of `step` piastres (halves round up).
+ */
+export function roundToStep(amount, step = 1) {
+  if (step <= 1) return Math.round(amount);
+  return Math.round(amount / step) * step;
+}
+
+/**
+ * Split an integer `total` between parties in proportion to `weights` using
+ * the largest-remainder method: every share is an integer and the shares
+ * always sum to `total`. All-zero weights split equally.
+ */
+export function allocate(total, weights) {
+  if (weights.length === 0) return [];
+  const sum = weights.reduce((a, b) => a + b, 0);
+  const effective = sum > 0 ? weights : weights.map(() => 1);
+  const effectiveSum = sum > 0 ? sum : weights.length;
+
+  const sign = total < 0 ? -1 : 1;
+  const units = Math.abs(total);
+  const quotas = effective.map(w => units * w / effectiveSum);
+  const shares = quotas.map(Math.floor);
+
+  let left = units - shares.reduce((a, b) => a + b, 0);
+  // Ties go to the earlier party so the result is deterministic
+  const byRemainder = quotas
+    .map((q, idx) => ({ idx, remainder: q - Math.floor(q) }))
+    .sort((a, b) => b.remainder - a.remainder || a.idx - b.idx);
+  for (const { idx } of byRemainder) {
+    if (left <= 0) break;
+    shares[idx]++;
+    left--;
+  }
+  return shares.map(s => s * sign);
+}
@@ -0,0 +1,72 @@
+import Session from '../models/Session.js';
+import Restaurant from '../models/Restaurant.js';
+import SessionTemplate from '../models/SessionTemplate.js';
+import { toPiastres } from './money.js';
+
+// Documents written before money was stored in piastres have no moneyVersion
+const LEGACY = { moneyVersion: { $exists: false } };
+
+function convertSession(s) {
+  const set = { moneyVersion: 2, deliveryFee: toPiastres(s.deliveryFee) };
+  set.orders = (s.orders || []).map(o => ({
+    ...o,
+    items: (o.items || []).map(item => ({
+      ...item,
+      price: toPiastres(item.price),
+      modifiers: (item.modifiers || []).map(m => ({ ...m, price: toPiastres(m.price) })),
+    })),
+  }));
+  if (s.costSettings) {
+    set['costSettings.tip'] = toPiastres(s.costSettings.tip);
+    if (s.costSettings.discount?.type !== 'percent') {
+      set['costSettings.discount.value'] = toPiastres(s.costSettings.discount?.value);
+    }
+  }
+  return set;
+}
+
+function convertRestaurant(r) {
+  return {
+    moneyVersion: 2,
+    menuItems: (r.menuItems || []).map(item => ({
+      ...item,
+      variants: (item.variants || []).map(v => ({ ...v, price: toPiastres(v.price) })),
+    })),
+    addonGroups: (r.addonGroups || []).map(g => ({
+      ...g,
+      options: (g.options || []).map(o => ({ ...o, price: toPiastres(o.price) })),
+    })),
+  };
+}
+
+async function migrateCollection(model, convert) {
+  const docs = await model.collection.find(LEGACY).toArray();
+  let migrated = 0;
+  for (const doc of docs) {
+    // Conditional on the marker so a second process can't convert twice
+    const result = await model.collection.updateOne({ _id: doc._id, ...LEGACY }, { $set: convert(doc) });
+    migrated += result.modifiedCount;
+  }
+  return migrated;
+}
+
+/**
+ * Boot-time: convert EGP float amounts in sessions, templates and menus to
+ * integer piastres. Idempotent — converted documents get moneyVersion 2.
+ */
+export async function migrateMoneyToPiastres() {
+  try {
+    const sessions = await migrateCollection(Session, convertSession);
+    const restaurants = await migrateCollection(Restaurant, convertRestaurant);
+    const templates = await migrateCollection(SessionTemplate, t => ({
+      moneyVersion: 2,
+      deliveryFee: toPiastres(t.deliveryFee),
+    }));
+    const total = sessions + restaurants + templates;
+    if (total) {
+      console.log(`💰 Converted money to piastres: ${sessions} session(s), ${restaurants} restaurant(s), ${templates} template(s)`);
+    }
+  } catch (err) {
+    console.error('⚠️  Money migration failed (non-fatal):', err.message);
+  }
+}
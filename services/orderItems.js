@@ -0,0 +1,190 @@
+import Restaurant from '../models/Restaurant.js';
+import { isItemSoldOut } from './availability.js';
+import { withUnitHint } from './money.js';
+
+const MAX_NOTE_LENGTH = 200;
+
+/**
+ * Add-on groups that apply to a menu item (matched by category).
+ */
+export function groupsForItem(restaurant, menuItem) {
+  return (restaurant.addonGroups || []).filter(g =>
+    !g.appliesTo?.length || g.appliesTo.includes(menuItem.category)
+  );
+}
+
+/**
+ * Resolve the selected modifiers for a menu item and enforce each
+ * group's min/max selection. Returns { modifiers } or { error }.
+ */
+function resolveModifiers(restaurant, menuItem, rawModifiers) {
+  if (rawModifiers !== undefined && !Array.isArray(rawModifiers)) {
+    return { error: 'modifiers must be an array' };
+  }
+
+  const groups = groupsForItem(restaurant, menuItem);
+  const modifiers = [];
+  for (const raw of rawModifiers || []) {
+    const group = groups.find(g => g.id === raw?.groupId);
+    if (!group) {
+      return { error: `Add-on group ${raw?.groupId} is not available for "${menuItem.name}"` };
+    }
+    const option = (group.options || []).find(o => o.id === raw.optionId);
+    if (!option) {
+      return { error: `Add-on option ${raw.optionId} not found in "${group.name}"` };
+    }
+    if (modifiers.some(m => m.groupId === group.id && m.optionId === option.id)) continue;
+    modifiers.push({ groupId: group.id, optionId: option.id, label: option.label, price: option.price });
+  }
+
+  for (const group of groups) {
+    const count = modifiers.filter(m => m.groupId === group.id).length;
+    if (count < (group.minSelect || 0)) {
+      return { error: `Choose at least ${group.minSelect} from "${group.name}" for "${menuItem.name}"` };
+    }
+    if (group.maxSelect > 0 && count > group.maxSelect) {
+      return { error: `Choose at most ${group.maxSelect} from "${group.name}" for "${menuItem.name}"` };
+    }
+  }
+
+  return { modifiers };
+}
+
+function normalizeNote(note) {
+  if (note === undefined || note === null) return { note: '' };
+  if (typeof note !== 'string') return { error: 'Item note must be text' };
+  const trimmed = note.trim();
+  if (trimmed.length > MAX_NOTE_LENGTH) {
+    return { error: `Item notes are limited to ${MAX_NOTE_LENGTH} characters` };
+  }
+  return { note: trimmed };
+}
+
+/**
+ * Resolve client-submitted order items against the session's restaurant menu.
+ *
+ * Items that reference a `menuItemId` (and optionally a variant `label`) get
+ * their name and price from the menu — the client's price is ignored.
+ * Free-text items (name + price) are only accepted when the session has no
+ * restaurant or the host allowed custom items.
+ * Sold-out items are refused — or, with `keepSoldOut` (editing an order that
+ * already has them), kept and flagged unavailable.
+ *
+ * Returns { items } on success or { error } with a user-facing message.
+ */
+export async function resolveOrderItems(session, rawItems, { keepSoldOut = false } = {}) {
+  if (!Array.isArray(rawItems) || rawItems.length === 0) {
+    return { error: 'At least one item is required' };
+  }
+
+  let restaurant = null;
+  if (session.restaurantId) {
+    restaurant = await Restaurant.findOne({ id: session.restaurantId }).lean();
+  }
+  const customAllowed = !restaurant || session.allowCustomItems;
+
+  const items = [];
+  for (const raw of rawItems) {
+    if (!raw || typeof raw !== 'object') {
+      return { error: 'Invalid item' };
+    }
+    if (!Number.isInteger(raw.quantity) || raw.quantity < 1) {
+      return { error: 'Each item must have a quantity of at least 1' };
+    }
+    const { note, error: noteError } = normalizeNote(raw.note);
+    if (noteError) return { error: noteError };
+
+    if (raw.menuItemId) {
+      if (!restaurant) {
+        return { error: 'This session has no restaurant menu' };
+      }
+      const menuItem = (restaurant.menuItems || []).find(m => m.id === raw.menuItemId);
+      if (!menuItem) {
+        return { error: `Menu item ${raw.menuItemId} not found` };
+      }
+
+      const variants = menuItem.variants || [];
+      let variant;
+      if (raw.variant) {
+        variant = variants.find(v => v.label === raw.variant);
+      } else if (variants.length === 1) {
+        variant = variants[0];
+      }
+      if (!variant) {
+        return { error: `Choose a valid variant for "${menuItem.name}"` };
+      }
+
+      const soldOut = isItemSoldOut(menuItem, variant.label);
+      if (soldOut && !keepSoldOut) {
+        return { error: `"${menuItem.name}" is sold out — pick something else` };
+      }
+
+      const { modifiers, error } = resolveModifiers(restaurant, menuItem, raw.modifiers);
+      if (error) return { error };
+
+      items.push({
+        name: menuItem.name,
+        menuItemId: menuItem.id,
+        variant: variant.label,
+        price: variant.price,
+        quantity: raw.quantity,
+        modifiers,
+        note,
+        ...(soldOut && { unavailable: true, soldOut: true }),
+      });
+      continue;
+    }
+
+    if (!customAllowed) {
+      return { error: 'Custom items are not allowed in this session — pick from the menu' };
+    }
+    if (!raw.name || typeof raw.name !== 'string' || !raw.name.trim()) {
+      return { error: 'Each item must have a name' };
+    }
+    if (!Number.isInteger(raw.price) || raw.price <= 0) {
+      return { error: withUnitHint('Each item must have a positive price in whole piastres', raw.price) };
+    }
+    if (raw.modifiers?.length) {
+      return { error: 'Add-ons can only be chosen for menu items — use the note instead' };
+    }
+
+    items.push({
+      name: raw.name.trim(),
+      menuItemId: null,
+      variant: null,
+      price: raw.price,
+      quantity: raw.quantity,
+      modifiers: [],
+      note,
+    });
+  }
+
+  return { items };
+}
+
+/**
+ * Unit price of an order item including its add-ons.
+ */
+export function itemUnitPrice(item) {
+  const modifiersTotal = (item.modifiers || []).reduce((sum, m) => sum + (m.price || 0), 0);
+  return item.price + modifiersTotal;
+}
+
+/**
+ * Line total (unit price × quantity) of an order item.
+ */
+export function itemLineTotal(item) {
+  return itemUnitPrice(item) * (item.quantity || 1);
+}
+
+/**
+ * Human-readable line for an order item, as the host reads it to the restaurant.
+ * e.g. "2× فول سادة (صغير) + طحينة — بدون بصل"
+ */
+export function describeItem(item) {
+  let line = `${item.quantity || 1}× ${item.name}`;
+  if (item.variant && item.variant !== 'default') line += ` (${item.variant})`;
+  for (const m of item.modifiers || []) line += ` + ${m.label}`;
+  if (item.note) line += ` — ${item.note}`;
+  return line;
+}
@@ -0,0 +1,158 @@
+import { nanoid } from 'nanoid';
+
+export const PAYMENT_METHOD_TYPES = ['instapay', 'wallet', 'bank', 'cash'];
+
+const WALLET_PROVIDERS = {
+  'vodafone-cash': 'Vodafone Cash',
+  'etisalat-cash': 'e& cash',
+  'orange-cash': 'Orange Cash',
+  'we-pay': 'WE Pay',
+  other: 'Mobile wallet',
+};
+
+const INSTAPAY_HANDLE = /^[a-z0-9._-]+@instapay$/i;
+const INSTAPAY_LINK = /^https:\/\/ipn\.eg\/\S+$/;
+const IBAN_FORMAT = /^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/;
+
+/**
+ * Egyptian mobile number in local form ("01012345678"), or null.
+ * Accepts spaces/dashes and a +20 / 0020 prefix.
+ */
+export function normalizeMobile(value) {
+  let digits = String(value || '').replace(/[\s-]/g, '');
+  if (digits.startsWith('+20')) digits = '0' + digits.slice(3);
+  else if (digits.startsWith('0020')) digits = '0' + digits.slice(4);
+  else if (/^20\d{10}$/.test(digits)) digits = '0' + digits.slice(2);
+  return /^01[0125]\d{8}$/.test(digits) ? digits : null;
+}
+
+/**
+ * IBAN without spaces, upper-cased, if its format and check digits are valid.
+ */
+export function normalizeIban(value) {
+  const iban = String(value || '').replace(/\s/g, '').toUpperCase();
+  if (!IBAN_FORMAT.test(iban)) return null;
+  if (iban.startsWith('EG') && iban.length !== 29) return null;
+
+  // ISO 13616 mod-97 check, in chunks to stay within Number precision
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  const numeric = rearranged.replace(/[A-Z]/g, ch => String(ch.charCodeAt(0) - 55));
+  let remainder = 0;
+  for (let i = 0; i < numeric.length; i += 7) {
+    remainder = Number(String(remainder) + numeric.slice(i, i + 7)) % 97;
+  }
+  return remainder === 1 ? iban : null;
+}
+
+const text = value => (typeof value === 'string' ? value.trim() : '');
+
+/**
+ * Validate one payment method for its type. Returns { method } or { error }.
+ */
+export function parsePaymentMethod(raw, id = null) {
+  if (!raw || typeof raw !== 'object') return { error: 'Payment method must be an object' };
+  if (!PAYMENT_METHOD_TYPES.includes(raw.type)) {
+    return { error: `type must be one of ${PAYMENT_METHOD_TYPES.join(', ')}` };
+  }
+
+  const method = {
+    id: id || nanoid(6),
+    type: raw.type,
+    label: text(raw.label).slice(0, 40),
+    isDefault: !!raw.isDefault,
+  };
+
+  if (raw.type === 'instapay') {
+    const handle = text(raw.handle);
+    if (handle && !INSTAPAY_HANDLE.test(handle)) return { error: 'InstaPay handle must look like name@instapay' };
+    const phone = raw.phone ? normalizeMobile(raw.phone) : null;
+    if (raw.phone && !phone) return { error: 'Enter a valid Egyptian mobile number' };
+    if (!handle && !phone) return { error: 'InstaPay needs a handle or a mobile number' };
+    const link = text(raw.link);
+    if (link && !INSTAPAY_LINK.test(link)) return { error: 'InstaPay link must be an https://ipn.eg/… link' };
+    Object.assign(method, { handle: handle.toLowerCase() || null, phone, link: link || null });
+  } else if (raw.type === 'wallet') {
+    const phone = normalizeMobile(raw.phone);
+    if (!phone) return { error: 'Enter a valid Egyptian mobile number for the wallet' };
+    const provider = raw.provider || 'other';
+    if (!WALLET_PROVIDERS[provider]) {
+      return { error: `provider must be one of ${Object.keys(WALLET_PROVIDERS).join(', ')}` };
+    }
+    Object.assign(method, { phone, provider });
+  } else if (raw.type === 'bank') {
+    const iban = normalizeIban(raw.iban);
+    if (!iban) return { error: 'Enter a valid IBAN (EG + 27 digits for Egyptian banks)' };
+    const accountName = text(raw.accountName);
+    if (!accountName) return { error: 'Account holder name is required for bank transfers' };
+    Object.assign(method, { iban, accountName, bankName: text(raw.bankName) || null });
+  }
+
+  return { method };
+}
+
+/**
+ * Keep exactly one default: the first flagged one, or the first method.
+ */
+export function normalizeDefaults(methods) {
+  const defaultIdx = Math.max(0, methods.findIndex(m => m.isDefault));
+  methods.forEach((m, idx) => { m.isDefault = idx === defaultIdx; });
+  return methods;
+}
+
+function methodTitle(m) {
+  if (m.label) return m.label;
+  if (m.type === 'instapay') return 'InstaPay';
+  if (m.type === 'wallet') return WALLET_PROVIDERS[m.provider] || WALLET_PROVIDERS.other;
+  if (m.type === 'bank') return m.bankName || 'Bank transfer';
+  return 'Cash';
+}
+
+/**
+ * One-line text version, used as the session's legacy hostPaymentInfo.
+ */
+export function summarizePaymentMethods(methods) {
+  return methods.map(m => {
+    const detail = m.handle || m.phone || m.iban;
+    return detail ? `${methodTitle(m)}: ${detail}` : methodTitle(m);
+  }).join(' · ');
+}
+
+/**
+ * Structured view for participants: copyable fields, plus a payment link,
+ * USSD code or QR payload where the method supports one.
+ */
+export function presentPaymentMethod(m) {
+  const view = {
+    id: m.id,
+    type: m.type,
+    title: methodTitle(m),
+    isDefault: m.isDefault,
+    fields: [],
+    link: null,
+    ussdCode: null,
+    qrPayload: null,
+  };
+
+  if (m.type === 'instapay') {
+    if (m.handle) view.fields.push({ label: 'InstaPay address', value: m.handle, copyable: true });
+    if (m.phone) view.fields.push({ label: 'Mobile number', value: m.phone, copyable: true });
+    view.link = m.link || null;
+    view.qrPayload = m.link || m.handle || m.phone;
+  } else if (m.type === 'wallet') {
+    view.fields.push({ label: 'Wallet number', value: m.phone, copyable: true });
+    // Vodafone Cash transfer shortcut; the client fills in the amount in pounds
+    if (m.provider === 'vodafone-cash') view.ussdCode = `*9*7*${m.phone}*{amount}#`;
+    view.qrPayload = m.phone;
+  } else if (m.type === 'bank') {
+    view.fields.push({
+      label: 'IBAN',
+      value: m.iban,
+      display: m.iban.replace(/(.{4})/g, '$1 ').trim(),
+      copyable: true,
+    });
+    view.fields.push({ label: 'Account name', value: m.accountName, copyable: true });
+    if (m.bankName) view.fields.push({ label: 'Bank', value: m.bankName, copyable: false });
+  }
+
+  return view;
+}
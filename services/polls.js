@@ -0,0 +1,179 @@
+import Poll from '../models/Poll.js';
+import User from '../models/User.js';
+import { openSession } from './sessionLifecycle.js';
+import { sendPushToUser } from './pushService.js';
+import { emitToPoll } from './realtime.js';
+
+const pollTimers = new Map();
+const MAX_TIMER_DELAY = 2 ** 31 - 1; // setTimeout limit (~24.8 days)
+const SWEEP_INTERVAL = 60 * 1000;
+
+/**
+ * Count the votes. Single-choice polls are one round of first choices;
+ * ranked polls are instant-runoff: the option with the fewest votes is
+ * dropped and its ballots move to their next choice until one option has
+ * a majority. Ties go to the option proposed first.
+ *
+ * Returns { winner, rounds: [{ counts: { restaurantId: n }, eliminated }] }.
+ */
+export function tallyPoll(poll) {
+  const order = poll.options.map(o => o.restaurantId);
+  const ballots = poll.votes.map(v => v.ranking.filter(id => order.includes(id)));
+  const active = new Set(order);
+  const rounds = [];
+
+  while (active.size > 0) {
+    const counts = Object.fromEntries([...active].map(id => [id, 0]));
+    let counted = 0;
+    for (const ballot of ballots) {
+      const choice = ballot.find(id => active.has(id));
+      if (choice) {
+        counts[choice]++;
+        counted++;
+      }
+    }
+
+    // Highest count first, then proposal order
+    const standing = [...active].sort((a, b) => counts[b] - counts[a] || order.indexOf(a) - order.indexOf(b));
+    const leader = standing[0];
+    if (counted === 0) {
+      rounds.push({ counts, eliminated: null });
+      return { winner: null, rounds };
+    }
+    if (poll.mode !== 'ranked' || counts[leader] * 2 > counted || active.size === 1) {
+      rounds.push({ counts, eliminated: null });
+      return { winner: leader, rounds };
+    }
+
+    const eliminated = standing[standing.length - 1];
+    rounds.push({ counts, eliminated });
+    active.delete(eliminated);
+  }
+  return { winner: null, rounds };
+}
+
+/**
+ * Poll as shown to voters: live first-choice counts (and, for ranked polls,
+ * the current runoff leader). `userId` adds that voter's own ranking.
+ */
+export function pollView(poll, userId = null) {
+  const { winner, rounds } = tallyPoll(poll);
+  const firstRound = rounds[0]?.counts || {};
+  const myVote = userId ? poll.votes.find(v => v.user.toString() === String(userId)) : null;
+  return {
+    id: poll.pollId,
+    title: poll.title,
+    mode: poll.mode,
+    host: poll.host,
+    hostName: poll.hostName,
+    team: poll.team,
+    options: poll.options.map(o => ({ restaurantId: o.restaurantId, name: o.name, votes: firstRound[o.restaurantId] || 0 })),
+    voters: poll.votes.map(v => v.name),
+    totalVotes: poll.votes.length,
+    leader: winner,
+    myRanking: myVote?.ranking || null,
+    closesAt: poll.closesAt,
+    status: poll.status,
+    result: poll.status === 'closed' ? poll.result : null,
+    sessionId: poll.sessionId,
+    createdAt: poll.createdAt,
+  };
+}
+
+/**
+ * Live update for `poll:<id>` sockets. Anyone with the id can listen, so
+ * who voted stays behind GET /api/polls/:id (team members only).
+ */
+export function broadcastPoll(poll) {
+  const { voters, ...view } = pollView(poll);
+  emitToPoll(poll.pollId, 'poll-updated', view);
+}
+
+/**
+ * Close a poll, open a session with the winning restaurant and tell the
+ * voters. Safe to call from several processes — only the one whose
+ * conditional update wins does the work. Returns the closed poll or null.
+ */
+export async function closePoll(pollId) {
+  cancelPollTimer(pollId);
+  const poll = await Poll.findOneAndUpdate(
+    { pollId, status: 'open' },
+    { $set: { status: 'closed', 'result.closedAt': new Date() } },
+    { new: true }
+  );
+  if (!poll) return null;
+
+  const { winner, rounds } = tallyPoll(poll);
+  poll.result.winner = winner;
+  poll.result.rounds = rounds;
+
+  if (winner) {
+    try {
+      const host = await User.findById(poll.host, 'paymentMethods');
+      const session = await openSession({
+        host: poll.host,
+        hostName: poll.hostName,
+        team: poll.team,
+        hostPaymentInfo: poll.sessionDefaults.hostPaymentInfo,
+        hostPaymentMethods: (host?.paymentMethods || []).filter(m => m.isDefault).map(m => m.toObject()),
+        deliveryFee: poll.sessionDefaults.deliveryFee,
+        deadlineMinutes: poll.sessionDefaults.deadlineMinutes,
+        restaurantId: winner,
+        allowCustomItems: poll.sessionDefaults.allowCustomItems,
+      });
+      poll.sessionId = session.sessionId;
+    } catch (err) {
+      console.error(`Poll session error (${pollId}):`, err.message);
+    }
+  }
+  await poll.save();
+  broadcastPoll(poll);
+  console.log(`🗳️  Poll ${pollId} closed${winner ? ` → ${winner}` : ' without votes'}`);
+
+  // Push notification → voters and the host
+  const winnerName = poll.options.find(o => o.restaurantId === winner)?.name;
+  const recipients = new Set([poll.host.toString(), ...poll.votes.map(v => v.user.toString())]);
+  await Promise.allSettled([...recipients].map(userId => sendPushToUser(userId, poll.sessionId
+    ? { title: `🗳️ ${winnerName} wins!`, body: `${poll.hostName}'s breakfast is open — order now`, url: `/join/${poll.sessionId}` }
+    : { title: '🗳️ Poll closed', body: winner ? `${winnerName} won the vote` : 'Nobody voted this time', url: `/polls/${pollId}` })));
+
+  return poll;
+}
+
+/**
+ * (Re)schedule the timer that closes an open poll.
+ */
+export function schedulePoll(poll) {
+  cancelPollTimer(poll.pollId);
+  if (poll.status !== 'open') return;
+  const delay = Math.min(Math.max(poll.closesAt.getTime() - Date.now(), 0), MAX_TIMER_DELAY);
+  pollTimers.set(poll.pollId, setTimeout(() => {
+    pollTimers.delete(poll.pollId);
+    closePoll(poll.pollId).catch(err => console.error(`Poll close error (${poll.pollId}):`, err.message));
+  }, delay));
+}
+
+export function cancelPollTimer(pollId) {
+  const timer = pollTimers.get(pollId);
+  if (timer) clearTimeout(timer);
+  pollTimers.delete(pollId);
+}
+
+/**
+ * Boot-time: pick up open polls, and sweep periodically for ones another
+ * (or a crashed) process should have closed.
+ */
+export async function startPollScheduler() {
+  const open = await Poll.find({ status: 'open' }, 'pollId status closesAt');
+  open.forEach(schedulePoll);
+  console.log(`🗳️  Poll scheduler: ${open.length} open poll(s)`);
+
+  setInterval(async () => {
+    try {
+      const due = await Poll.find({ status: 'open', closesAt: { $lte: new Date() } }, 'pollId').lean();
+      for (const p of due) await closePoll(p.pollId);
+    } catch (err) {
+      console.error('Poll sweep error:', err.message);
+    }
+  }, SWEEP_INTERVAL);
+}
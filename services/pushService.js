@@ -40,24 +40,26 @@ export async function sendPushToUser(userId, payload) {
 }
 
 /**
- * Send push notification to a user by their name within a session.
- * Looks up the user from the session's orders.
+ * Send push notification to the person an order is for.
+ * Looks up the user from the session's orders by order id.
  */
-export async function sendPushToParticipant(session, participantName, payload) {
-  const order = session.orders?.find(o => o.participantName === participantName);
+export async function sendPushToParticipant(session, orderId, payload) {
+  const order = session.orders?.find(o => o.orderId === orderId);
   if (order?.user) {
     await sendPushToUser(order.user, payload);
   }
 }
 
 /**
- * Send push to all participants in a session.
+ * Send push to all participants in a session (once per account).
  */
 export async function sendPushToAllParticipants(session, payload, excludeName = null) {
-  const promises = session.orders
-    ?.filter(o => o.user && (!excludeName || o.participantName !== excludeName))
-    .map(o => sendPushToUser(o.user, payload)) || [];
-  await Promise.allSettled(promises);
+  const userIds = new Set(
+    (session.orders || [])
+      .filter(o => o.user && (!excludeName || o.participantName !== excludeName))
+      .map(o => o.user.toString())
+  );
+  await Promise.allSettled([...userIds].map(id => sendPushToUser(id, payload)));
 }
 
 export { VAPID_PUBLIC_KEY };
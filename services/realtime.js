@@ -0,0 +1,27 @@
+/**
+ * Shared handle on the socket.io server so services outside server.js
+ * (schedulers, background jobs) can broadcast to session rooms.
+ */
+let io = null;
+
+export function setIO(server) {
+  io = server;
+}
+
+export function emitToSession(sessionId, event, payload) {
+  if (!io) return;
+  io.to(sessionId).emit(event, payload);
+}
+
+// Audit entries only go to sockets that authenticated as the host, a co-host
+// or a participant ("activity:<sessionId>", see join-session in server.js)
+export function emitToSessionActivity(sessionId, event, payload) {
+  if (!io) return;
+  io.to(`activity:${sessionId}`).emit(event, payload);
+}
+
+// Poll voters join "poll:<pollId>" (see routes/polls.js)
+export function emitToPoll(pollId, event, payload) {
+  if (!io) return;
+  io.to(`poll:${pollId}`).emit(event, payload);
+}
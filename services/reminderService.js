@@ -0,0 +1,113 @@
+import Session from '../models/Session.js';
+import SessionArchive from '../models/SessionArchive.js';
+import { sendPushToUser } from './pushService.js';
+
+const SWEEP_INTERVAL = 30 * 1000;
+const USUAL_PARTICIPANT_WINDOW_DAYS = 60;
+export const DEFAULT_REMINDER_MINUTES = [10, 2];
+
+/**
+ * Validate a host-supplied list of reminder offsets (minutes before deadline).
+ * Returns { minutes } sorted descending, or { error }.
+ */
+export function parseReminderMinutes(value) {
+  if (!Array.isArray(value) || value.length > 5) {
+    return { error: 'Reminder minutes must be a list of up to 5 values' };
+  }
+  const minutes = [...new Set(value.map(v => parseInt(v)))];
+  if (minutes.some(m => isNaN(m) || m < 1 || m > 180)) {
+    return { error: 'Reminder minutes must be between 1 and 180' };
+  }
+  return { minutes: minutes.sort((a, b) => b - a) };
+}
+
+/**
+ * People who usually join this host's or this restaurant's breakfast runs:
+ * anyone who ordered in one of their sessions in the last 60 days.
+ * Returns a Set of user id strings (the host is never included).
+ */
+export async function findUsualParticipants(session) {
+  const since = new Date(Date.now() - USUAL_PARTICIPANT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const sources = [{ host: session.host }];
+  if (session.restaurantId) sources.push({ restaurantId: session.restaurantId });
+
+  // Sessions move to the archive after 48 hours, so most of the window lives there
+  const filter = { sessionId: { $ne: session.sessionId }, createdAt: { $gte: since }, $or: sources };
+  const [live, archived] = await Promise.all([
+    Session.find(filter, 'orders.user orders.orderedBy').lean(),
+    SessionArchive.find(filter, 'orders.user orders.orderedBy').lean(),
+  ]);
+
+  const userIds = new Set();
+  for (const s of [...live, ...archived]) {
+    for (const o of s.orders || []) {
+      if (o.user) userIds.add(o.user.toString());
+      if (o.orderedBy) userIds.add(o.orderedBy.toString());
+    }
+  }
+  userIds.delete(session.host.toString());
+  return userIds;
+}
+
+/**
+ * Claim all due reminder slots at once so a reminder is only sent once, even
+ * with several server processes sweeping at the same time: the update only
+ * applies while none of them is claimed yet. Returns true if this process won.
+ */
+async function claimReminders(sessionId, due) {
+  const result = await Session.updateOne(
+    { sessionId, status: 'open', 'reminders.sent': { $nin: due } },
+    { $addToSet: { 'reminders.sent': { $each: due } } }
+  );
+  return result.modifiedCount === 1;
+}
+
+async function sendReminder(session, minutesLeft) {
+  const ordered = new Set();
+  for (const o of session.orders || []) {
+    if (o.user) ordered.add(o.user.toString());
+    if (o.orderedBy) ordered.add(o.orderedBy.toString());
+  }
+
+  const recipients = [...await findUsualParticipants(session)].filter(id => !ordered.has(id));
+  await Promise.allSettled(recipients.map(userId => sendPushToUser(userId, {
+    title: `⏰ Breakfast closes in ${minutesLeft} min`,
+    body: `${session.hostName}'s order closes soon — you haven't ordered yet`,
+    url: `/join/${session.sessionId}`,
+  })));
+
+  if (recipients.length) {
+    console.log(`⏰ Reminder (${minutesLeft} min) for session ${session.sessionId} → ${recipients.length} user(s)`);
+  }
+}
+
+/**
+ * Send every reminder that is due. When several are due at once (e.g. a
+ * session created with a short deadline), only the latest one goes out.
+ */
+async function sweepReminders() {
+  const now = Date.now();
+  const sessions = await Session.find({
+    status: 'open',
+    'reminders.enabled': { $ne: false },
+    deadline: { $gt: new Date(now) },
+  });
+
+  for (const session of sessions) {
+    const minutesLeft = Math.ceil((session.deadline.getTime() - now) / 60000);
+    const minutesBefore = session.reminders?.minutesBefore?.length
+      ? session.reminders.minutesBefore
+      : DEFAULT_REMINDER_MINUTES;
+    const sent = session.reminders?.sent || [];
+    const due = minutesBefore.filter(m => minutesLeft <= m && !sent.includes(m));
+    if (!due.length) continue;
+
+    if (await claimReminders(session.sessionId, due)) await sendReminder(session, minutesLeft);
+  }
+}
+
+export function startReminderScheduler() {
+  setInterval(() => {
+    sweepReminders().catch(err => console.error('Reminder sweep error:', err.message));
+  }, SWEEP_INTERVAL);
+}
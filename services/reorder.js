@@ -0,0 +1,148 @@
+import { groupsForItem, itemUnitPrice } from './orderItems.js';
+import { normalizeArabic } from './arabic.js';
+import { isItemSoldOut } from './availability.js';
+import { allocate } from './money.js';
+
+/**
+ * Archives written before add-ons were stored in full keep only their labels.
+ * Bring those into { label, price } form: the unit's add-on total (line total
+ * over quantity, minus the base price) is shared evenly between the labels.
+ */
+function withModifierObjects(past) {
+  const modifiers = past.modifiers || [];
+  if (!modifiers.some(m => typeof m === 'string')) return past;
+
+  const unitAddons = Math.max(Math.round((past.lineTotal || 0) / (past.quantity || 1)) - past.price, 0);
+  const prices = allocate(unitAddons, modifiers.map(() => 1));
+  return {
+    ...past,
+    modifiers: modifiers.map((m, idx) => (typeof m === 'string' ? { label: m, price: prices[idx] } : m)),
+  };
+}
+
+/**
+ * Find the current menu item for a past order item: by id first, then by
+ * Arabic-normalized name (the item may have been re-created by a menu re-scan).
+ */
+function findMenuItem(restaurant, past) {
+  const menuItems = restaurant?.menuItems || [];
+  if (past.menuItemId) {
+    const byId = menuItems.find(m => m.id === past.menuItemId);
+    if (byId) return { menuItem: byId, matchedBy: 'id' };
+  }
+  const name = normalizeArabic(past.name);
+  const byName = name && menuItems.find(m => normalizeArabic(m.name) === name);
+  return byName ? { menuItem: byName, matchedBy: 'name' } : {};
+}
+
+function findVariant(menuItem, label) {
+  const variants = menuItem.variants || [];
+  if (label) {
+    const exact = variants.find(v => v.label === label);
+    if (exact) return exact;
+    const normalized = normalizeArabic(label);
+    const byName = variants.find(v => normalizeArabic(v.label) === normalized);
+    if (byName) return byName;
+  }
+  // A past item without a variant (or a single-size item) takes the only size
+  return variants.length === 1 ? variants[0] : null;
+}
+
+function findModifier(groups, past) {
+  const group = groups.find(g => g.id === past.groupId);
+  const option = (group?.options || []).find(o => o.id === past.optionId);
+  if (option) return { group, option };
+
+  const label = normalizeArabic(past.label);
+  for (const group of groups) {
+    const option = (group.options || []).find(o => normalizeArabic(o.label) === label);
+    if (option) return { group, option };
+  }
+  return null;
+}
+
+/**
+ * Map past order items onto a session's current menu.
+ *
+ * Returns { items, report }: `items` are ready for resolveOrderItems(), and
+ * `report` has one entry per past item with its outcome —
+ *   status: 'matched' | 'custom' | 'missing'
+ *   matchedBy: 'id' | 'name' (menu items only)
+ *   priceBefore / priceAfter (unit prices with the add-ons carried over, piastres) and priceChanged
+ *   droppedModifiers: add-ons that no longer exist
+ *   reason: why a missing item couldn't be carried over
+ * With `skipSoldOut`, items sold out right now are reported missing too.
+ */
+export function matchReorderItems(restaurant, pastItems, { customAllowed, skipSoldOut = false }) {
+  const items = [];
+  const report = [];
+
+  for (const past of pastItems.map(withModifierObjects)) {
+    const entry = { name: past.name, variant: past.variant || null, quantity: past.quantity, priceBefore: itemUnitPrice(past) };
+
+    const { menuItem, matchedBy } = findMenuItem(restaurant, past);
+    if (!menuItem) {
+      // Free-text items carry over as they were, where the session allows them
+      if (!past.menuItemId && customAllowed) {
+        items.push({ name: past.name, price: past.price, quantity: past.quantity, note: past.note || '' });
+        report.push({ ...entry, status: 'custom', priceAfter: past.price, priceChanged: false });
+      } else {
+        report.push({ ...entry, status: 'missing', reason: 'No longer on the menu' });
+      }
+      continue;
+    }
+
+    const variant = findVariant(menuItem, past.variant);
+    if (!variant) {
+      report.push({
+        ...entry,
+        status: 'missing',
+        reason: past.variant ? `Size "${past.variant}" is no longer available` : 'Choose a size',
+      });
+      continue;
+    }
+    if (skipSoldOut && isItemSoldOut(menuItem, variant.label)) {
+      report.push({ ...entry, status: 'missing', reason: 'Sold out' });
+      continue;
+    }
+
+    const groups = groupsForItem(restaurant, menuItem);
+    const modifiers = [];
+    const keptModifiers = [];
+    const droppedModifiers = [];
+    for (const pastModifier of past.modifiers || []) {
+      const found = findModifier(groups, pastModifier);
+      if (found) {
+        modifiers.push({ groupId: found.group.id, optionId: found.option.id, price: found.option.price });
+        keptModifiers.push(pastModifier);
+      } else {
+        droppedModifiers.push(pastModifier.label);
+      }
+    }
+
+    // Compare like with like: dropped add-ons aren't a price change
+    const priceBefore = itemUnitPrice({ price: past.price, modifiers: keptModifiers });
+    const priceAfter = itemUnitPrice({ price: variant.price, modifiers });
+    items.push({
+      menuItemId: menuItem.id,
+      variant: variant.label,
+      quantity: past.quantity,
+      modifiers: modifiers.map(({ groupId, optionId }) => ({ groupId, optionId })),
+      note: past.note || '',
+    });
+    report.push({
+      ...entry,
+      priceBefore,
+      status: 'matched',
+      matchedBy,
+      menuItemId: menuItem.id,
+      currentName: menuItem.name,
+      currentVariant: variant.label,
+      priceAfter,
+      priceChanged: priceAfter !== priceBefore,
+      droppedModifiers,
+    });
+  }
+
+  return { items, report };
+}
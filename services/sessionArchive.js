@@ -0,0 +1,156 @@
+import Session from '../models/Session.js';
+import SessionArchive from '../models/SessionArchive.js';
+import Restaurant from '../models/Restaurant.js';
+import { calculateCosts, costSummary } from './costs.js';
+import { recordSessionDebts } from './ledger.js';
+import { cancelDeadline } from './sessionLifecycle.js';
+import { invalidateTeamAnalytics } from './teamAnalytics.js';
+import { removeUpload, PROOFS_DIR } from '../middleware/upload.js';
+
+// Sessions stay live (editable, payable) this long before moving to the archive
+const LIVE_WINDOW = 48 * 60 * 60 * 1000;
+// Archived sessions are kept this long (days); defaults to two years
+const RETENTION_DAYS = parseInt(process.env.ARCHIVE_RETENTION_DAYS) > 0
+  ? parseInt(process.env.ARCHIVE_RETENTION_DAYS)
+  : 730;
+const SWEEP_INTERVAL = 10 * 60 * 1000;
+
+/**
+ * Compact archived form of a session: final costs and payment states,
+ * without proofs, reminders or status history.
+ */
+export function buildArchive(session, restaurantName = null) {
+  const costs = calculateCosts(session);
+  const costsById = new Map(costs.map(c => [c.orderId, c]));
+
+  const orders = session.orders.map(order => {
+    const cost = costsById.get(order.orderId);
+    return {
+      orderId: order.orderId,
+      user: order.user || null,
+      orderedBy: order.orderedBy || null,
+      guestId: order.guestId || null,
+      participantName: order.participantName,
+      items: cost.items.filter(i => !i.unavailable).map(i => ({
+        name: i.name,
+        menuItemId: i.menuItemId || null,
+        variant: i.variant || null,
+        quantity: i.quantity,
+        modifiers: (i.modifiers || []).map(m => ({
+          groupId: m.groupId, optionId: m.optionId, label: m.label, price: m.price,
+        })),
+        note: i.note || '',
+        price: i.price,
+        lineTotal: i.lineTotal,
+      })),
+      itemsTotal: cost.itemsTotal,
+      total: cost.total,
+      payment: {
+        status: cost.payment.status,
+        method: cost.payment.method,
+        confirmedByHost: !!cost.payment.confirmedByHost,
+        paidAt: cost.payment.paidAt || null,
+        reference: cost.payment.proof?.reference || null,
+      },
+      submittedAt: order.submittedAt || null,
+    };
+  });
+
+  const participants = new Map([[session.host.toString(), session.host]]);
+  for (const order of session.orders) {
+    for (const id of [order.user, order.orderedBy]) {
+      if (id) participants.set(id.toString(), id);
+    }
+  }
+
+  const lastChange = session.statusHistory?.[session.statusHistory.length - 1];
+  return {
+    sessionId: session.sessionId,
+    host: session.host,
+    hostName: session.hostName,
+    team: session.team || null,
+    restaurantId: session.restaurantId || null,
+    restaurantName,
+    templateId: session.templateId || null,
+    status: session.status,
+    deliveryFee: session.deliveryFee,
+    costs: costSummary(session, costs),
+    orders,
+    participants: [...participants.values()],
+    createdAt: session.createdAt,
+    closedAt: lastChange?.at || null,
+    archivedAt: new Date(),
+    expiresAt: new Date(Date.now() + RETENTION_DAYS * 24 * 60 * 60 * 1000),
+  };
+}
+
+/**
+ * Move one session into the archive. Whatever is still unpaid goes to the
+ * ledger first, so archiving never forgives a debt. Proof images are deleted
+ * with the live session; the archive keeps only the transfer reference.
+ */
+export async function archiveSession(session) {
+  const restaurant = session.restaurantId
+    ? await Restaurant.findOne({ id: session.restaurantId }, 'name').lean()
+    : null;
+
+  await recordSessionDebts(session);
+  await SessionArchive.updateOne(
+    { sessionId: session.sessionId },
+    { $set: buildArchive(session, restaurant?.name || null) },
+    { upsert: true }
+  );
+  await Session.deleteOne({ sessionId: session.sessionId });
+  cancelDeadline(session.sessionId);
+  if (session.team) invalidateTeamAnalytics(session.team);
+
+  for (const order of session.orders) removeUpload(order.payment?.proof?.image, PROOFS_DIR);
+}
+
+/**
+ * Archive sessions past the live window; sessions nobody ordered in are
+ * simply dropped, like the old TTL did.
+ */
+export async function sweepSessions() {
+  const cutoff = new Date(Date.now() - LIVE_WINDOW);
+
+  const abandoned = await Session.find({ createdAt: { $lte: cutoff }, orders: { $size: 0 } }, 'sessionId');
+  if (abandoned.length) {
+    abandoned.forEach(s => cancelDeadline(s.sessionId));
+    await Session.deleteMany({ _id: { $in: abandoned.map(s => s._id) }, orders: { $size: 0 } });
+  }
+
+  const due = await Session.find({ createdAt: { $lte: cutoff }, 'orders.0': { $exists: true } });
+  let archived = 0;
+  for (const session of due) {
+    try {
+      await archiveSession(session);
+      archived++;
+    } catch (err) {
+      console.error(`Archive error (${session.sessionId}):`, err.message);
+    }
+  }
+
+  if (archived || abandoned.length) {
+    console.log(`🗄️  Archived ${archived} session(s), expired ${abandoned.length} empty one(s)`);
+  }
+}
+
+/**
+ * Boot-time: drop the old 48h TTL index on sessions (it would delete them
+ * before they can be archived), then sweep periodically.
+ */
+export async function startArchiveScheduler() {
+  const indexes = await Session.collection.indexes().catch(() => []);
+  for (const index of indexes) {
+    if (index.key?.createdAt && index.expireAfterSeconds !== undefined) {
+      await Session.collection.dropIndex(index.name);
+      console.log(`🗄️  Dropped session TTL index ${index.name}`);
+    }
+  }
+
+  await sweepSessions().catch(err => console.error('Archive sweep error:', err.message));
+  setInterval(() => {
+    sweepSessions().catch(err => console.error('Archive sweep error:', err.message));
+  }, SWEEP_INTERVAL);
+}
@@ -0,0 +1,270 @@
+import { nanoid } from 'nanoid';
+import Session from '../models/Session.js';
+import { emitToSession } from './realtime.js';
+import { sendPushToAllParticipants } from './pushService.js';
+import { logActivity } from './activityLog.js';
+import { recordSessionDebts } from './ledger.js';
+import { inSubstituteWindow } from './availability.js';
+
+/**
+ * Session lifecycle:
+ *
+ *   open → locked → ordered → delivered → settled
+ *
+ * "locked" is reached automatically at the deadline (or manually by the host);
+ * the host can reopen a locked session. Closing a session settles it from any state.
+ */
+export const SESSION_STATES = ['open', 'locked', 'ordered', 'delivered', 'settled'];
+export const ACTIVE_STATES = ['open', 'locked', 'ordered', 'delivered'];
+
+const TRANSITIONS = {
+  open: ['locked', 'settled'],
+  locked: ['open', 'ordered', 'settled'],
+  ordered: ['delivered', 'settled'],
+  delivered: ['settled'],
+  settled: [],
+};
+
+// Which session actions are allowed in each state
+const ALLOWED_ACTIONS = {
+  open: ['order:submit', 'order:edit', 'order:delete', 'payment', 'confirm', 'treat', 'delivery-fee', 'cost-settings', 'budget', 'restaurant', 'custom-items', 'availability'],
+  locked: ['payment', 'confirm', 'treat', 'delivery-fee', 'cost-settings', 'budget', 'availability'],
+  ordered: ['payment', 'confirm', 'treat', 'delivery-fee', 'cost-settings', 'budget', 'reconcile'],
+  delivered: ['payment', 'confirm', 'treat', 'reconcile'],
+  settled: [],
+};
+
+const STATUS_PUSH = {
+  locked: { title: '🔒 Orders locked', body: (s) => `${s.hostName}'s breakfast order list is locked` },
+  open: { title: '🔓 Orders reopened', body: (s) => `${s.hostName} reopened the order list` },
+  ordered: { title: '📞 Order placed', body: (s) => `${s.hostName} placed the order with the restaurant` },
+  delivered: { title: '🛵 Breakfast is here!', body: (s) => `${s.hostName}'s order has been delivered` },
+  settled: { title: '✅ Session settled', body: (s) => `${s.hostName}'s breakfast session is closed` },
+};
+
+export function allowedActions(session) {
+  return ALLOWED_ACTIONS[session.status] || [];
+}
+
+/**
+ * Returns null if `action` is allowed in the session's current state,
+ * otherwise an { error, code } body for a 400 response.
+ */
+export function checkSessionState(session, action) {
+  if (allowedActions(session).includes(action)) return null;
+  if (session.status === 'locked') {
+    return { error: 'Orders are locked — ask the host to reopen the session', code: 'SESSION_LOCKED' };
+  }
+  if (session.status === 'settled') {
+    return { error: 'Session is closed', code: 'SESSION_CLOSED' };
+  }
+  return { error: `Not allowed while the session is ${session.status}`, code: 'INVALID_SESSION_STATE' };
+}
+
+/**
+ * Create a new open session and schedule its deadline lock.
+ * Used by POST /api/sessions and by the recurring-template scheduler;
+ * callers validate their input first.
+ */
+export async function openSession({
+  host, hostName, hostPaymentInfo, hostPaymentMethods = [], deliveryFee, deadlineMinutes,
+  team = null, restaurantId = null, allowCustomItems = false, reminders, costSettings, budget = null, templateId = null, actor = null,
+}) {
+  // Compute deadline: use provided minutes or default to 60
+  const minutes = parseInt(deadlineMinutes) > 0 ? parseInt(deadlineMinutes) : 60;
+
+  const session = new Session({
+    sessionId: nanoid(8),
+    host,
+    hostName,
+    team,
+    hostPaymentInfo,
+    hostPaymentMethods,
+    deliveryFee,
+    deadline: new Date(Date.now() + minutes * 60 * 1000),
+    restaurantId,
+    allowCustomItems,
+    costSettings,
+    budget,
+    templateId,
+    status: 'open',
+    reminders: { enabled: true, ...reminders, sent: [] },
+    orders: []
+  });
+
+  await session.save();
+  scheduleDeadline(session);
+
+  logActivity(session.sessionId, actor, 'session:create', {
+    after: { deliveryFee, restaurantId, deadline: session.deadline, team, templateId },
+  });
+  return session;
+}
+
+/**
+ * Broadcast a status change over socket.io and push it to participants.
+ */
+function announceTransition(session, from) {
+  emitToSession(session.sessionId, 'session-status', {
+    sessionId: session.sessionId,
+    status: session.status,
+    previousStatus: from,
+    deadline: session.deadline,
+    allowedActions: allowedActions(session),
+  });
+  // Older clients only know about this event
+  if (session.status === 'settled') emitToSession(session.sessionId, 'session-closed');
+
+  const push = STATUS_PUSH[session.status];
+  if (push) {
+    sendPushToAllParticipants(session, {
+      title: push.title,
+      body: push.body(session),
+      url: `/join/${session.sessionId}`,
+    }).catch(() => {});
+  }
+}
+
+/**
+ * Move a session to a new state. The update is conditional on the current
+ * state so concurrent transitions (or several server processes) can't race.
+ *
+ * Options:
+ *   actor           — req.user of whoever made the change (null = system)
+ *   deadlineMinutes — when reopening, a new deadline from now (otherwise none)
+ *   force           — place the order even while participants are still
+ *                     picking substitutes for sold-out items
+ *
+ * Returns { session } or { error, code }.
+ */
+export async function transitionSession(sessionId, to, { actor = null, deadlineMinutes, force = false } = {}) {
+  const current = await Session.findOne({ sessionId }, 'status deadline orders.participantName orders.substituteBy');
+  if (!current) return { error: 'Session not found', code: 'NOT_FOUND' };
+
+  const from = current.status;
+  if (!SESSION_STATES.includes(to)) {
+    return { error: `Unknown status "${to}"`, code: 'INVALID_STATUS' };
+  }
+  if (!TRANSITIONS[from]?.includes(to)) {
+    return { error: `Cannot move a session from ${from} to ${to}`, code: 'INVALID_TRANSITION' };
+  }
+  const substituting = current.orders.filter(o => inSubstituteWindow(o));
+  if (to === 'ordered' && substituting.length && !force) {
+    return {
+      error: `Still waiting for ${substituting.map(o => o.participantName).join(', ')} to replace sold-out items — pass force to order anyway`,
+      code: 'SUBSTITUTES_PENDING',
+    };
+  }
+
+  const set = { status: to };
+  if (to === 'open') {
+    const minutes = parseInt(deadlineMinutes);
+    set.deadline = minutes > 0 ? new Date(Date.now() + minutes * 60 * 1000) : null;
+    set['reminders.sent'] = [];
+  }
+
+  const session = await Session.findOneAndUpdate(
+    { sessionId, status: from },
+    { $set: set, $push: { statusHistory: { from, to, by: actor?.name || null, at: new Date() } } },
+    { new: true }
+  );
+  if (!session) {
+    return { error: 'Session status changed in the meantime — reload and try again', code: 'INVALID_TRANSITION' };
+  }
+
+  if (to === 'open') scheduleDeadline(session);
+  else cancelDeadline(sessionId);
+
+  // Whatever is still unpaid moves to the cross-session ledger
+  if (to === 'settled') {
+    await recordSessionDebts(session).catch(err =>
+      console.error(`Ledger recording error (${sessionId}):`, err.message));
+  }
+
+  logActivity(sessionId, actor, 'session:status', {
+    before: { status: from, deadline: current.deadline },
+    after: { status: to, deadline: session.deadline },
+  });
+  announceTransition(session, from);
+  return { session };
+}
+
+// ======================== DEADLINE SCHEDULER ========================
+
+const deadlineTimers = new Map();
+const MAX_TIMER_DELAY = 2 ** 31 - 1; // setTimeout limit (~24.8 days)
+const SWEEP_INTERVAL = 60 * 1000;
+
+/**
+ * Lock a session whose deadline has passed. Safe to call from several
+ * processes — only the one whose conditional update wins announces it.
+ */
+async function lockExpiredSession(sessionId) {
+  deadlineTimers.delete(sessionId);
+  try {
+    const session = await Session.findOneAndUpdate(
+      { sessionId, status: 'open', deadline: { $ne: null, $lte: new Date() } },
+      { $set: { status: 'locked' }, $push: { statusHistory: { from: 'open', to: 'locked', by: null, at: new Date() } } },
+      { new: true }
+    );
+    if (session) {
+      console.log(`🔒 Session ${sessionId} locked at deadline`);
+      logActivity(sessionId, null, 'session:status', { before: { status: 'open' }, after: { status: 'locked' } });
+      announceTransition(session, 'open');
+    }
+  } catch (err) {
+    console.error(`Deadline lock error (${sessionId}):`, err.message);
+  }
+}
+
+/**
+ * (Re)schedule the automatic lock for an open session with a deadline.
+ */
+export function scheduleDeadline(session) {
+  cancelDeadline(session.sessionId);
+  if (session.status !== 'open' || !session.deadline) return;
+
+  const delay = Math.max(0, new Date(session.deadline).getTime() - Date.now());
+  const timer = delay > MAX_TIMER_DELAY
+    ? setTimeout(() => scheduleDeadline(session), MAX_TIMER_DELAY)
+    : setTimeout(() => lockExpiredSession(session.sessionId), delay);
+  deadlineTimers.set(session.sessionId, timer);
+}
+
+export function cancelDeadline(sessionId) {
+  const timer = deadlineTimers.get(sessionId);
+  if (timer) clearTimeout(timer);
+  deadlineTimers.delete(sessionId);
+}
+
+/**
+ * Boot-time: pick up pending deadlines from MongoDB, and sweep periodically
+ * so sessions scheduled by another (or a crashed) process still get locked.
+ */
+export async function startDeadlineScheduler() {
+  const pending = await Session.find({ status: 'open', deadline: { $ne: null } }, 'sessionId status deadline');
+  pending.forEach(scheduleDeadline);
+  console.log(`⏰ Deadline scheduler: ${pending.length} pending session(s)`);
+
+  setInterval(async () => {
+    try {
+      const overdue = await Session.find(
+        { status: 'open', deadline: { $ne: null, $lte: new Date() } },
+        'sessionId'
+      ).lean();
+      for (const s of overdue) await lockExpiredSession(s.sessionId);
+    } catch (err) {
+      console.error('Deadline sweep error:', err.message);
+    }
+  }, SWEEP_INTERVAL);
+}
+
+/**
+ * Map pre-lifecycle statuses onto the new states (active → open, closed → settled).
+ */
+export async function migrateSessionStatuses() {
+  const opened = await Session.collection.updateMany({ status: 'active' }, { $set: { status: 'open' } });
+  const settled = await Session.collection.updateMany({ status: 'closed' }, { $set: { status: 'settled' } });
+  const total = opened.modifiedCount + settled.modifiedCount;
+  if (total) console.log(`🔁 Migrated ${total} session(s) to lifecycle statuses`);
+}
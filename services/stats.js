@@ -0,0 +1,143 @@
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import SessionArchive from '../models/SessionArchive.js';
+import Restaurant from '../models/Restaurant.js';
+import { buildArchive } from './sessionArchive.js';
+import { zonedParts } from './timezone.js';
+
+const TOP_LIMIT = 10;
+
+/**
+ * Archived sessions plus live ones (last 48 hours, brought into the same
+ * compact form) that `userId` took part in, created within [from, to].
+ */
+async function sessionsFor(userId, from, to) {
+  const me = new mongoose.Types.ObjectId(String(userId));
+  const createdAt = { $gte: from, $lte: to };
+
+  const [archived, live] = await Promise.all([
+    SessionArchive.find({ participants: me, createdAt }).lean(),
+    Session.find({ $or: [{ host: me }, { 'orders.user': me }, { 'orders.orderedBy': me }], createdAt }),
+  ]);
+  return [...archived, ...live.map(s => buildArchive(s))];
+}
+
+// Sunday that starts the local week, as "YYYY-MM-DD"
+function weekKey(date, timezone) {
+  const p = zonedParts(date, timezone);
+  return new Date(Date.UTC(p.year, p.month - 1, p.day - p.weekday)).toISOString().slice(0, 10);
+}
+
+function addTo(map, key, init, fn) {
+  if (!map.has(key)) map.set(key, init());
+  fn(map.get(key));
+}
+
+const byKey = (map, key) => [...map.values()].sort((a, b) => a[key].localeCompare(b[key]));
+
+/**
+ * Spending statistics for one user. Amounts are piastres.
+ *   spent         — my own orders I pay for (everything not treated)
+ *   treatedTo     — my orders someone else paid for
+ *   treatedOthers — orders I treated in sessions I hosted
+ */
+export async function personalStats(userId, { from, to, timezone }) {
+  const me = String(userId);
+  const sessions = await sessionsFor(userId, from, to);
+
+  const totals = {
+    spent: 0,
+    orders: 0,
+    sessions: 0,
+    averageOrderValue: 0,
+    treatedTo: { amount: 0, orders: 0 },
+    treatedOthers: { amount: 0, orders: 0 },
+  };
+  const weeks = new Map();
+  const months = new Map();
+  const items = new Map();
+  const restaurants = new Map();
+  let paidOrders = 0;
+
+  for (const session of sessions) {
+    const isHost = session.host.toString() === me;
+    const mine = session.orders.filter(o => o.user?.toString() === me);
+
+    if (isHost) {
+      for (const order of session.orders) {
+        if (order.payment.status === 'treated' && order.user?.toString() !== me) {
+          totals.treatedOthers.amount += order.total;
+          totals.treatedOthers.orders++;
+        }
+      }
+    }
+    if (mine.length === 0) continue;
+
+    totals.sessions++;
+    const week = weekKey(session.createdAt, timezone);
+    const month = zonedParts(session.createdAt, timezone).date.slice(0, 7);
+
+    for (const order of mine) {
+      totals.orders++;
+      const treated = order.payment.status === 'treated' && !isHost;
+      const spent = treated ? 0 : order.total;
+      if (treated) {
+        totals.treatedTo.amount += order.total;
+        totals.treatedTo.orders++;
+      } else {
+        totals.spent += spent;
+        paidOrders++;
+      }
+
+      for (const [map, key, field] of [[weeks, week, 'week'], [months, month, 'month']]) {
+        addTo(map, key, () => ({ [field]: key, spent: 0, treatedTo: 0, orders: 0 }), bucket => {
+          bucket.spent += spent;
+          bucket.treatedTo += treated ? order.total : 0;
+          bucket.orders++;
+        });
+      }
+
+      for (const item of order.items) {
+        const key = item.menuItemId ? `${item.menuItemId}:${item.variant || ''}` : `name:${item.name.trim().toLowerCase()}`;
+        addTo(items, key, () => ({
+          menuItemId: item.menuItemId, name: item.name, variant: item.variant, quantity: 0, orders: 0, spent: 0,
+        }), entry => {
+          entry.quantity += item.quantity;
+          entry.orders++;
+          entry.spent += item.lineTotal;
+        });
+      }
+    }
+
+    if (session.restaurantId) {
+      addTo(restaurants, session.restaurantId, () => ({
+        restaurantId: session.restaurantId, name: session.restaurantName, sessions: 0, spent: 0,
+      }), entry => {
+        entry.sessions++;
+        entry.spent += mine.reduce((sum, o) => sum + (o.payment.status === 'treated' && !isHost ? 0 : o.total), 0);
+        entry.name = entry.name || session.restaurantName;
+      });
+    }
+  }
+
+  totals.averageOrderValue = paidOrders ? Math.round(totals.spent / paidOrders) : 0;
+
+  const topRestaurants = [...restaurants.values()]
+    .sort((a, b) => b.sessions - a.sessions || b.spent - a.spent)
+    .slice(0, TOP_LIMIT);
+  // Live sessions don't carry the restaurant name yet
+  const unnamed = topRestaurants.filter(r => !r.name).map(r => r.restaurantId);
+  if (unnamed.length) {
+    const names = await Restaurant.find({ id: { $in: unnamed } }, 'id name').lean();
+    for (const r of topRestaurants) r.name = r.name || names.find(n => n.id === r.restaurantId)?.name || null;
+  }
+
+  return {
+    range: { from, to, timezone },
+    totals,
+    weekly: byKey(weeks, 'week'),
+    monthly: byKey(months, 'month'),
+    topItems: [...items.values()].sort((a, b) => b.quantity - a.quantity || b.spent - a.spent).slice(0, TOP_LIMIT),
+    topRestaurants,
+  };
+}
@@ -0,0 +1,285 @@
+import mongoose from 'mongoose';
+import SessionArchive from '../models/SessionArchive.js';
+
+const TOP_RESTAURANTS = 10;
+const TOP_ITEMS_PER_RESTAURANT = 5;
+// Archived data only changes when a session is archived, which clears the team's entries
+const CACHE_TTL = 15 * 60 * 1000;
+const CACHE_MAX_ENTRIES = 200;
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const cache = new Map();
+
+// Restaurant name (and menu, when asked) joined on the app-level restaurant id
+const lookupRestaurant = (fields) => ({
+  $lookup: {
+    from: 'restaurants',
+    let: { restaurantId: '$_id' },
+    pipeline: [
+      { $match: { $expr: { $eq: ['$id', '$$restaurantId'] } } },
+      { $project: { _id: 0, ...fields } },
+    ],
+    as: 'restaurant',
+  },
+});
+
+function topRestaurants(match) {
+  return SessionArchive.aggregate([
+    { $match: { ...match, restaurantId: { $ne: null } } },
+    {
+      $group: {
+        _id: '$restaurantId',
+        archivedName: { $last: '$restaurantName' },
+        sessions: { $sum: 1 },
+        heads: { $sum: { $size: '$orders' } },
+        spent: { $sum: '$costs.grandTotal' },
+        lastOrderedAt: { $max: '$createdAt' },
+      },
+    },
+    { $sort: { sessions: -1, spent: -1 } },
+    { $limit: TOP_RESTAURANTS },
+    lookupRestaurant({ name: 1 }),
+    {
+      $project: {
+        _id: 0,
+        restaurantId: '$_id',
+        name: { $ifNull: [{ $arrayElemAt: ['$restaurant.name', 0] }, '$archivedName'] },
+        sessions: 1,
+        heads: 1,
+        spent: 1,
+        averageCostPerHead: { $cond: [{ $gt: ['$heads', 0] }, { $round: [{ $divide: ['$spent', '$heads'] }, 0] }, 0] },
+        lastOrderedAt: 1,
+      },
+    },
+  ]);
+}
+
+function topItemsPerRestaurant(match) {
+  return SessionArchive.aggregate([
+    { $match: { ...match, restaurantId: { $ne: null } } },
+    { $unwind: '$orders' },
+    { $unwind: '$orders.items' },
+    {
+      $group: {
+        _id: {
+          restaurantId: '$restaurantId',
+          // Free-text items are grouped by name
+          item: { $ifNull: ['$orders.items.menuItemId', { $toLower: '$orders.items.name' }] },
+          variant: '$orders.items.variant',
+        },
+        menuItemId: { $first: '$orders.items.menuItemId' },
+        restaurantName: { $last: '$restaurantName' },
+        archivedName: { $last: '$orders.items.name' },
+        quantity: { $sum: '$orders.items.quantity' },
+        orders: { $sum: 1 },
+        spent: { $sum: '$orders.items.lineTotal' },
+      },
+    },
+    { $sort: { quantity: -1, spent: -1 } },
+    {
+      $group: {
+        _id: '$_id.restaurantId',
+        archivedName: { $first: '$restaurantName' },
+        items: {
+          $push: {
+            menuItemId: '$menuItemId',
+            archivedName: '$archivedName',
+            variant: '$_id.variant',
+            quantity: '$quantity',
+            orders: '$orders',
+            spent: '$spent',
+          },
+        },
+      },
+    },
+    { $project: { archivedName: 1, items: { $slice: ['$items', TOP_ITEMS_PER_RESTAURANT] } } },
+    lookupRestaurant({ name: 1, menuItems: { id: 1, name: 1 } }),
+    { $addFields: { restaurant: { $arrayElemAt: ['$restaurant', 0] } } },
+    {
+      $project: {
+        _id: 0,
+        restaurantId: '$_id',
+        name: { $ifNull: ['$restaurant.name', '$archivedName'] },
+        // Current menu name when the item still exists, the archived one otherwise
+        items: {
+          $map: {
+            input: '$items',
+            as: 'item',
+            in: {
+              menuItemId: '$$item.menuItemId',
+              name: {
+                $ifNull: [
+                  {
+                    $arrayElemAt: [{
+                      $map: {
+                        input: {
+                          $filter: {
+                            input: { $ifNull: ['$restaurant.menuItems', []] },
+                            cond: { $eq: ['$$this.id', '$$item.menuItemId'] },
+                          },
+                        },
+                        in: '$$this.name',
+                      },
+                    }, 0],
+                  },
+                  '$$item.archivedName',
+                ],
+              },
+              variant: '$$item.variant',
+              quantity: '$$item.quantity',
+              orders: '$$item.orders',
+              spent: '$$item.spent',
+            },
+          },
+        },
+      },
+    },
+    { $sort: { name: 1 } },
+  ]);
+}
+
+function costPerHead(match) {
+  return SessionArchive.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        sessions: { $sum: 1 },
+        heads: { $sum: { $size: '$orders' } },
+        spent: { $sum: '$costs.grandTotal' },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        sessions: 1,
+        heads: 1,
+        spent: 1,
+        averageCostPerHead: { $cond: [{ $gt: ['$heads', 0] }, { $round: [{ $divide: ['$spent', '$heads'] }, 0] }, 0] },
+      },
+    },
+  ]);
+}
+
+function participationByWeekday(match, timezone) {
+  return SessionArchive.aggregate([
+    { $match: match },
+    {
+      $project: {
+        weekday: { $subtract: [{ $dayOfWeek: { date: '$createdAt', timezone } }, 1] },
+        // Distinct people who ordered (guests count by name)
+        people: {
+          $size: {
+            $setUnion: [{
+              $map: { input: '$orders', in: { $ifNull: ['$$this.user', '$$this.participantName'] } },
+            }],
+          },
+        },
+      },
+    },
+    {
+      $group: {
+        _id: '$weekday',
+        sessions: { $sum: 1 },
+        averageParticipants: { $avg: '$people' },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+}
+
+function deliveryFeeTrend(match, timezone) {
+  return SessionArchive.aggregate([
+    { $match: { ...match, restaurantId: { $ne: null } } },
+    {
+      $group: {
+        _id: {
+          restaurantId: '$restaurantId',
+          month: { $dateToString: { format: '%Y-%m', date: '$createdAt', timezone } },
+        },
+        archivedName: { $last: '$restaurantName' },
+        sessions: { $sum: 1 },
+        averageFee: { $avg: '$deliveryFee' },
+        minFee: { $min: '$deliveryFee' },
+        maxFee: { $max: '$deliveryFee' },
+      },
+    },
+    { $sort: { '_id.month': 1 } },
+    {
+      $group: {
+        _id: '$_id.restaurantId',
+        archivedName: { $last: '$archivedName' },
+        months: {
+          $push: {
+            month: '$_id.month',
+            sessions: '$sessions',
+            averageFee: { $round: ['$averageFee', 0] },
+            minFee: '$minFee',
+            maxFee: '$maxFee',
+          },
+        },
+      },
+    },
+    lookupRestaurant({ name: 1 }),
+    {
+      $project: {
+        _id: 0,
+        restaurantId: '$_id',
+        name: { $ifNull: [{ $arrayElemAt: ['$restaurant.name', 0] }, '$archivedName'] },
+        months: 1,
+      },
+    },
+    { $sort: { name: 1 } },
+  ]);
+}
+
+/**
+ * Aggregate reports over a team's archived sessions in [from, to].
+ * Amounts are piastres. Results are cached per team and range.
+ */
+export async function teamAnalytics(team, { from, to, timezone }) {
+  const key = `${team._id}:${from.toISOString()}:${to.toISOString()}:${timezone}`;
+  const cached = cache.get(key);
+  if (cached && Date.now() - cached.at < CACHE_TTL) return { ...cached.value, cached: true };
+
+  const match = { team: new mongoose.Types.ObjectId(String(team._id)), createdAt: { $gte: from, $lte: to } };
+  const [restaurants, items, overall, weekdays, deliveryFees] = await Promise.all([
+    topRestaurants(match),
+    topItemsPerRestaurant(match),
+    costPerHead(match),
+    participationByWeekday(match, timezone),
+    deliveryFeeTrend(match, timezone),
+  ]);
+
+  const memberCount = team.members.length || 1;
+  const value = {
+    range: { from, to, timezone },
+    generatedAt: new Date(),
+    overall: overall[0] || { sessions: 0, heads: 0, spent: 0, averageCostPerHead: 0 },
+    topRestaurants: restaurants,
+    topItemsPerRestaurant: items,
+    participationByWeekday: weekdays.map(w => ({
+      weekday: w._id,
+      day: WEEKDAY_NAMES[w._id],
+      sessions: w.sessions,
+      averageParticipants: Math.round(w.averageParticipants * 10) / 10,
+      // Share of the team's current members who typically order that day
+      participationRate: Math.min(1, Math.round(w.averageParticipants / memberCount * 100) / 100),
+    })),
+    deliveryFeeTrend: deliveryFees,
+  };
+
+  if (cache.size >= CACHE_MAX_ENTRIES) cache.delete(cache.keys().next().value);
+  cache.set(key, { at: Date.now(), value });
+  return { ...value, cached: false };
+}
+
+/**
+ * Drop cached reports for a team, e.g. after one of its sessions is archived.
+ */
+export function invalidateTeamAnalytics(teamId) {
+  const prefix = `${teamId}:`;
+  for (const key of cache.keys()) {
+    if (key.startsWith(prefix)) cache.delete(key);
+  }
+}
@@ -0,0 +1,151 @@
+import SessionTemplate from '../models/SessionTemplate.js';
+import User from '../models/User.js';
+import { openSession } from './sessionLifecycle.js';
+import { findUsualParticipants } from './reminderService.js';
+import { sendPushToUser } from './pushService.js';
+import { zonedParts, zonedTimeToUtc } from './timezone.js';
+
+const templateTimers = new Map();
+const SWEEP_INTERVAL = 60 * 1000;
+// Occurrences missed by more than this (e.g. server was down) are skipped, not run late
+const MAX_RUN_DELAY = 30 * 60 * 1000;
+
+/**
+ * Upcoming occurrences of a template, in order.
+ * Returns [{ at: Date, date: "YYYY-MM-DD", skipped: Boolean }].
+ */
+export function upcomingRuns(template, count = 5, from = new Date()) {
+  const { weekdays, time, timezone } = template.recurrence;
+  const [hour, minute] = time.split(':').map(Number);
+  const today = zonedParts(from, timezone);
+  const runs = [];
+
+  // At most one occurrence per day, so two weeks per requested run is plenty
+  for (let offset = 0; runs.length < count && offset < count * 14 + 7; offset++) {
+    const day = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    if (!weekdays.includes(day.getUTCDay())) continue;
+
+    const at = zonedTimeToUtc({
+      year: day.getUTCFullYear(),
+      month: day.getUTCMonth() + 1,
+      day: day.getUTCDate(),
+      hour,
+      minute,
+    }, timezone);
+    if (at <= from) continue;
+
+    const date = day.toISOString().slice(0, 10);
+    runs.push({ at, date, skipped: (template.skipDates || []).includes(date) });
+  }
+  return runs;
+}
+
+/**
+ * Next occurrence that isn't skipped, or null.
+ */
+export function computeNextRun(template, from = new Date()) {
+  return upcomingRuns(template, 10, from).find(r => !r.skipped)?.at || null;
+}
+
+async function notifyUsualParticipants(session) {
+  const userIds = await findUsualParticipants(session);
+  await Promise.allSettled([...userIds].map(userId => sendPushToUser(userId, {
+    title: '🍳 Breakfast run is open',
+    body: `${session.hostName} opened today's breakfast order`,
+    url: `/join/${session.sessionId}`,
+  })));
+}
+
+/**
+ * Open the session for an occurrence. The conditional update on nextRunAt
+ * makes sure only one process runs each occurrence.
+ */
+async function runTemplate(templateId, scheduledAt) {
+  templateTimers.delete(templateId);
+  try {
+    const template = await SessionTemplate.findOne({ templateId, paused: false, nextRunAt: scheduledAt });
+    if (!template) return;
+
+    const late = Date.now() - scheduledAt.getTime() > MAX_RUN_DELAY;
+    const claimed = await SessionTemplate.findOneAndUpdate(
+      { templateId, paused: false, nextRunAt: scheduledAt },
+      { $set: { nextRunAt: computeNextRun(template, new Date(Math.max(Date.now(), scheduledAt.getTime()))) } },
+      { new: true }
+    );
+    if (!claimed) return;
+    scheduleTemplate(claimed);
+
+    if (late) {
+      console.log(`⏭️  Template ${templateId}: missed occurrence at ${scheduledAt.toISOString()}, skipped`);
+      return;
+    }
+
+    // Recurring sessions carry the host's current default payment method
+    const host = await User.findById(template.host, 'paymentMethods');
+    const hostPaymentMethods = (host?.paymentMethods || []).filter(m => m.isDefault).map(m => m.toObject());
+
+    const session = await openSession({
+      host: template.host,
+      hostName: template.hostName,
+      team: template.team,
+      hostPaymentInfo: template.hostPaymentInfo,
+      hostPaymentMethods,
+      deliveryFee: template.deliveryFee,
+      deadlineMinutes: template.deadlineMinutes,
+      restaurantId: template.restaurantId,
+      allowCustomItems: template.allowCustomItems,
+      templateId,
+    });
+    await SessionTemplate.updateOne(
+      { templateId },
+      { $set: { lastRunAt: new Date(), lastSessionId: session.sessionId } }
+    );
+    console.log(`🔁 Template ${templateId} opened session ${session.sessionId}`);
+
+    await notifyUsualParticipants(session);
+  } catch (err) {
+    console.error(`Template run error (${templateId}):`, err.message);
+  }
+}
+
+/**
+ * (Re)schedule the timer for a template's next occurrence.
+ */
+export function scheduleTemplate(template) {
+  cancelTemplate(template.templateId);
+  if (template.paused || !template.nextRunAt) return;
+
+  const scheduledAt = new Date(template.nextRunAt);
+  const delay = Math.max(0, scheduledAt.getTime() - Date.now());
+  // Weekly recurrences stay well under the setTimeout limit; the sweep covers the rest
+  if (delay > 2 ** 31 - 1) return;
+  templateTimers.set(template.templateId, setTimeout(() => runTemplate(template.templateId, scheduledAt), delay));
+}
+
+export function cancelTemplate(templateId) {
+  const timer = templateTimers.get(templateId);
+  if (timer) clearTimeout(timer);
+  templateTimers.delete(templateId);
+}
+
+/**
+ * Boot-time: schedule every active template, and sweep periodically for
+ * occurrences that are due but were scheduled by another process.
+ */
+export async function startTemplateScheduler() {
+  const templates = await SessionTemplate.find({ paused: false, nextRunAt: { $ne: null } });
+  templates.forEach(scheduleTemplate);
+  console.log(`🔁 Template scheduler: ${templates.length} active template(s)`);
+
+  setInterval(async () => {
+    try {
+      const due = await SessionTemplate.find(
+        { paused: false, nextRunAt: { $ne: null, $lte: new Date() } },
+        'templateId nextRunAt'
+      ).lean();
+      for (const t of due) await runTemplate(t.templateId, t.nextRunAt);
+    } catch (err) {
+      console.error('Template sweep error:', err.message);
+    }
+  }, SWEEP_INTERVAL);
+}
@@ -0,0 +1,138 @@
+/**
+ * Consolidated order ticket: every participant's items grouped by
+ * item + variant + add-ons, as the host reads it to the restaurant.
+ * Items flagged unavailable are left out.
+ */
+import { itemUnitPrice, itemLineTotal } from './orderItems.js';
+import { formatMoney } from './money.js';
+
+function lineKey(item) {
+  const modifiers = (item.modifiers || []).map(m => `${m.groupId}:${m.optionId}`).sort();
+  return [item.menuItemId || `custom:${item.name}`, item.variant || '', ...modifiers].join('|');
+}
+
+/**
+ * Build the ticket for a session. Each line lists who ordered it, so the
+ * same data drives both the restaurant view and the by-person view.
+ */
+export function buildTicket(session, restaurant = null) {
+  const lines = new Map();
+
+  for (const order of session.orders || []) {
+    for (const item of order.items) {
+      if (item.unavailable) continue;
+
+      const key = lineKey(item);
+      if (!lines.has(key)) {
+        lines.set(key, {
+          name: item.name,
+          variant: item.variant && item.variant !== 'default' ? item.variant : null,
+          modifiers: (item.modifiers || []).map(m => m.label),
+          unitPrice: itemUnitPrice(item),
+          quantity: 0,
+          subtotal: 0,
+          notes: [],
+          participants: [],
+        });
+      }
+      const line = lines.get(key);
+      const quantity = item.quantity || 1;
+      line.quantity += quantity;
+      line.subtotal += itemLineTotal(item);
+      if (item.note) line.notes.push({ note: item.note, quantity });
+      line.participants.push({ orderId: order.orderId, name: order.participantName, quantity, note: item.note || '' });
+    }
+  }
+
+  const items = [...lines.values()];
+  return {
+    sessionId: session.sessionId,
+    hostName: session.hostName,
+    restaurant: restaurant ? { id: restaurant.id, name: restaurant.name, phone: restaurant.phone } : null,
+    items,
+    totalQuantity: items.reduce((sum, l) => sum + l.quantity, 0),
+    itemsTotal: items.reduce((sum, l) => sum + l.subtotal, 0),
+    deliveryFee: session.deliveryFee,
+  };
+}
+
+function lineLabel(line) {
+  let label = `${line.quantity}× ${line.name}`;
+  if (line.variant) label += ` (${line.variant})`;
+  for (const m of line.modifiers) label += ` + ${m}`;
+  return label;
+}
+
+function noteLabel(n) {
+  return n.quantity > 1 ? `${n.note} (${n.quantity})` : n.note;
+}
+
+/**
+ * Plain Arabic text, ready to paste into WhatsApp.
+ */
+export function ticketToText(ticket, { byPerson = false } = {}) {
+  const out = [`*🍳 طلب فطار${ticket.restaurant ? ` — ${ticket.restaurant.name}` : ''}*`, ''];
+
+  for (const line of ticket.items) {
+    out.push(`• ${lineLabel(line)}`);
+    if (line.notes.length) out.push(`   ملاحظات: ${line.notes.map(noteLabel).join('، ')}`);
+    if (byPerson) {
+      for (const p of line.participants) out.push(`   - ${p.name}${p.quantity > 1 ? ` ×${p.quantity}` : ''}`);
+    }
+  }
+
+  out.push('');
+  out.push(`عدد الأصناف: ${ticket.totalQuantity}`);
+  out.push(`الحساب: ${formatMoney(ticket.itemsTotal, 'ج.م')}`);
+  return out.join('\n');
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Printable right-to-left HTML page.
+ */
+export function ticketToHtml(ticket, { byPerson = false } = {}) {
+  const rows = ticket.items.map(line => {
+    const details = [
+      ...line.notes.map(n => `ملاحظة: ${escapeHtml(noteLabel(n))}`),
+      ...(byPerson ? line.participants.map(p => `${escapeHtml(p.name)} ×${p.quantity}`) : []),
+    ];
+    return `<tr>
+  <td class="qty">${line.quantity}</td>
+  <td>${escapeHtml(lineLabel(line).replace(/^\d+× /, ''))}${details.length ? `<div class="details">${details.join('<br>')}</div>` : ''}</td>
+  <td class="money">${formatMoney(line.subtotal, 'ج.م')}</td>
+</tr>`;
+  }).join('\n');
+
+  const title = `طلب فطار${ticket.restaurant ? ` — ${escapeHtml(ticket.restaurant.name)}` : ''}`;
+  return `<!DOCTYPE html>
+<html lang="ar" dir="rtl">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+  body { font-family: sans-serif; max-width: 80mm; margin: 0 auto; font-size: 14px; }
+  table { width: 100%; border-collapse: collapse; }
+  td { padding: 4px 2px; border-bottom: 1px dashed #999; vertical-align: top; }
+  .qty { font-weight: bold; width: 2em; }
+  .money { white-space: nowrap; text-align: left; }
+  .details { font-size: 12px; color: #444; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h2>${title}</h2>
+<table>
+${rows}
+</table>
+<p>عدد الأصناف: ${ticket.totalQuantity}<br>الحساب: ${formatMoney(ticket.itemsTotal, 'ج.م')}</p>
+</body>
+</html>`;
+}
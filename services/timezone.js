@@ -0,0 +1,118 @@
+/**
+ * Minimal timezone helpers built on Intl (no extra dependency).
+ * Egypt observes DST, so offsets are always computed per instant.
+ */
+export const DEFAULT_TIMEZONE = 'Africa/Cairo';
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit',
+      weekday: 'short',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+export function isValidTimezone(timeZone) {
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock parts of an instant in a timezone.
+ * Returns { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday), date: "YYYY-MM-DD" }.
+ */
+export function zonedParts(date, timeZone = DEFAULT_TIMEZONE) {
+  const parts = {};
+  for (const p of formatterFor(timeZone).formatToParts(date)) parts[p.type] = p.value;
+  const result = {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS[parts.weekday],
+  };
+  result.date = `${parts.year}-${parts.month}-${parts.day}`;
+  return result;
+}
+
+const LOCAL_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Parse a date-range bound from a query string: "YYYY-MM-DD" is a local day
+ * (its first instant, or its last with `endOfDay`), anything else is parsed
+ * as an instant. Returns a Date, or null if invalid.
+ */
+function parseDateBound(value, timeZone = DEFAULT_TIMEZONE, endOfDay = false) {
+  const local = LOCAL_DATE.exec(value);
+  if (local) {
+    const [, year, month, day] = local.map(Number);
+    const start = zonedTimeToUtc({ year, month, day: endOfDay ? day + 1 : day }, timeZone);
+    return new Date(start.getTime() - (endOfDay ? 1 : 0));
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Whole local days covering the last `days` days up to today — stable
+ * within a day, so results keyed on the range can be cached.
+ */
+function recentDays(days, timeZone = DEFAULT_TIMEZONE) {
+  const now = new Date();
+  const since = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+  return {
+    from: parseDateBound(zonedParts(since, timeZone).date, timeZone),
+    to: parseDateBound(zonedParts(now, timeZone).date, timeZone, true),
+  };
+}
+
+/**
+ * `?from=&to=` query bounds (see parseDateBound), each defaulting to the
+ * last `defaultDays` days. Returns { from, to } or { error }.
+ */
+export function parseDateRange(query, timeZone = DEFAULT_TIMEZONE, defaultDays = 30) {
+  const defaults = recentDays(defaultDays, timeZone);
+  const from = query.from ? parseDateBound(String(query.from), timeZone) : defaults.from;
+  const to = query.to ? parseDateBound(String(query.to), timeZone, true) : defaults.to;
+  if (!from) return { error: 'Invalid "from" date' };
+  if (!to) return { error: 'Invalid "to" date' };
+  if (from > to) return { error: '"from" must be before "to"' };
+  return { from, to };
+}
+
+/**
+ * Last instant of the local day that contains `date`.
+ */
+export function endOfLocalDay(date = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  return parseDateBound(zonedParts(date, timeZone).date, timeZone, true);
+}
+
+/**
+ * The UTC instant at which the wall clock in `timeZone` shows the given local time.
+ */
+export function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone = DEFAULT_TIMEZONE) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = (instant) => {
+    const p = zonedParts(new Date(instant), timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - instant;
+  };
+  // Two passes settle the offset around DST switches
+  let guess = asUtc - offsetAt(asUtc);
+  guess = asUtc - offsetAt(guess);
+  return new Date(guess);
+}
+
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateCosts } from '../services/costs.js';
+
+const sumOf = values => values.reduce((a, b) => a + b, 0);
+
+function order(orderId, itemsTotal, extra = {}) {
+  return {
+    orderId,
+    participantName: orderId,
+    items: [{ name: 'فول', price: itemsTotal, quantity: 1 }],
+    payment: { status: 'pending' },
+    ...extra,
+  };
+}
+
+function session({ orders, deliveryFee = 0, costSettings = {}, reconciliation = null }) {
+  return { orders, deliveryFee, costSettings, reconciliation };
+}
+
+test('components add up to every total and totals to the session bill', () => {
+  const s = session({
+    orders: [order('a', 1333), order('b', 2501), order('c', 777, { payment: { status: 'treated' } })],
+    deliveryFee: 1000,
+    costSettings: {
+      splitMode: 'proportional',
+      serviceChargePercent: 12,
+      vatPercent: 14,
+      tip: 500,
+      discount: { type: 'percent', value: 10 },
+    },
+  });
+  const costs = calculateCosts(s);
+
+  for (const c of costs) {
+    const parts = c.itemsTotal - c.discount + c.serviceCharge + c.vat + c.deliveryShare + c.tipShare + c.billAdjustment + c.rounding;
+    assert.equal(parts, c.total, c.orderId);
+  }
+  assert.equal(sumOf(costs.map(c => c.deliveryShare)), 1000);
+  assert.equal(sumOf(costs.map(c => c.tipShare)), 500);
+  assert.equal(sumOf(costs.map(c => c.discount)), Math.round(4611 * 0.1));
+});
+
+test('every split mode shares the delivery fee and tip exactly', () => {
+  for (const splitMode of ['equal', 'proportional', 'exclude-treated']) {
+    const costs = calculateCosts(session({
+      orders: [order('a', 1000), order('b', 1000, { payment: { status: 'treated' } }), order('c', 3333)],
+      deliveryFee: 1001,
+      costSettings: { splitMode, tip: 7 },
+    }));
+    assert.equal(sumOf(costs.map(c => c.deliveryShare)), 1001, splitMode);
+    assert.equal(sumOf(costs.map(c => c.tipShare)), 7, splitMode);
+  }
+});
+
+test('rounding keeps each due a whole step and the total within half a step', () => {
+  const costs = calculateCosts(session({
+    orders: [order('a', 1234), order('b', 987), order('c', 4321)],
+    deliveryFee: 333,
+    costSettings: { roundTo: 100 },
+  }));
+  for (const c of costs) assert.equal(c.total % 100, 0);
+  assert.equal(sumOf(costs.map(c => c.total)), 6900);
+});
+
+test('a reconciled bill is shared so totals match the actual bill', () => {
+  const orders = [order('a', 1000), order('b', 2000), order('c', 3001)];
+  for (const rule of ['proportional', 'equal']) {
+    for (const actualTotal of [6500, 5999, 6001]) {
+      const costs = calculateCosts(session({ orders, reconciliation: { actualTotal, rule } }));
+      assert.equal(sumOf(costs.map(c => c.total)), actualTotal, `${rule} ${actualTotal}`);
+    }
+  }
+});
+
+test('equal reconciliation never takes an order below zero', () => {
+  const orders = [order('a', 500), order('b', 5000), order('c', 7000)];
+
+  const lower = calculateCosts(session({ orders, reconciliation: { actualTotal: 9000, rule: 'equal' } }));
+  assert.deepEqual(lower.map(c => c.total), [0, 3499, 5501]);
+
+  const tiny = calculateCosts(session({ orders, reconciliation: { actualTotal: 100, rule: 'equal' } }));
+  assert.deepEqual(tiny.map(c => c.total), [0, 0, 100]);
+
+  const higher = calculateCosts(session({ orders, reconciliation: { actualTotal: 13000, rule: 'equal' } }));
+  assert.deepEqual(higher.map(c => c.billAdjustment), [167, 167, 166]);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { simplifyDebts } from '../services/ledger.js';
+
+const entry = (debtor, creditor, amount) => ({
+  debtor, debtorName: debtor.toUpperCase(), creditor, creditorName: creditor.toUpperCase(), amount,
+});
+
+// Each member's net position (positive = owed money)
+function netOf(debts, from = 'debtor', to = 'creditor') {
+  const net = {};
+  for (const d of debts) {
+    net[d[from]] = (net[d[from]] || 0) - d.amount;
+    net[d[to]] = (net[d[to]] || 0) + d.amount;
+  }
+  return Object.fromEntries(Object.entries(net).filter(([, n]) => n !== 0));
+}
+
+test('a chain of debts collapses to one transfer', () => {
+  const transfers = simplifyDebts([entry('a', 'b', 1000), entry('b', 'c', 1000)]);
+  assert.deepEqual(transfers, [{ from: 'a', fromName: 'A', to: 'c', toName: 'C', amount: 1000 }]);
+});
+
+test('debts that cancel out need no transfers', () => {
+  assert.deepEqual(simplifyDebts([entry('a', 'b', 700), entry('b', 'a', 700)]), []);
+  assert.deepEqual(simplifyDebts([]), []);
+});
+
+test('every member keeps their net position', () => {
+  const entries = [
+    entry('a', 'b', 1250),
+    entry('b', 'c', 300),
+    entry('c', 'a', 975),
+    entry('d', 'a', 4000),
+    entry('d', 'c', 1),
+    entry('b', 'd', 220),
+  ];
+  const transfers = simplifyDebts(entries);
+  assert.deepEqual(netOf(transfers, 'from', 'to'), netOf(entries));
+  assert.ok(transfers.every(t => t.amount > 0 && Number.isInteger(t.amount)));
+  // Greedy matching never needs more than one transfer per member but one
+  assert.ok(transfers.length <= Object.keys(netOf(entries)).length - 1);
+});
+
+test('largest debtor pays the largest creditor first', () => {
+  const transfers = simplifyDebts([entry('a', 'x', 500), entry('b', 'x', 2000), entry('b', 'y', 100)]);
+  assert.deepEqual(transfers.map(t => [t.from, t.to, t.amount]), [['b', 'x', 2100], ['a', 'x', 400], ['a', 'y', 100]]);
+});
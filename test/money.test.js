@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { allocate, parseMoney, toPiastres, formatMoney, roundToStep } from '../services/money.js';
+
+const sumOf = values => values.reduce((a, b) => a + b, 0);
+
+test('allocate shares always add up to the total', () => {
+  const cases = [
+    [1000, [1, 1, 1]],
+    [1, [1, 1, 1]],
+    [9999, [333, 1250, 7, 0, 40]],
+    [-3500, [500, 5000, 7000]],
+    [-1, [1, 1]],
+    [250, [0, 0, 0]],
+  ];
+  for (const [total, weights] of cases) {
+    const shares = allocate(total, weights);
+    assert.equal(shares.length, weights.length);
+    assert.equal(sumOf(shares), total, `allocate(${total}, [${weights}])`);
+    assert.ok(shares.every(Number.isInteger));
+  }
+});
+
+test('allocate gives leftover units to the largest remainders, earlier parties first on ties', () => {
+  assert.deepEqual(allocate(100, [1, 1, 1]), [34, 33, 33]);
+  assert.deepEqual(allocate(10, [1, 2]), [3, 7]);
+  assert.deepEqual(allocate(-100, [1, 1, 1]), [-34, -33, -33]);
+});
+
+test('allocate splits equally when every weight is zero', () => {
+  assert.deepEqual(allocate(90, [0, 0, 0]), [30, 30, 30]);
+  assert.deepEqual(allocate(50, []), []);
+});
+
+test('parseMoney only accepts non-negative whole piastres', () => {
+  assert.equal(parseMoney(1250), 1250);
+  assert.equal(parseMoney('1250'), 1250);
+  assert.equal(parseMoney(0), 0);
+  assert.equal(parseMoney(12.5), null);
+  assert.equal(parseMoney(-1), null);
+  assert.equal(parseMoney(''), null);
+  assert.equal(parseMoney(null), null);
+});
+
+test('toPiastres, formatMoney and roundToStep', () => {
+  assert.equal(toPiastres(12.5), 1250);
+  assert.equal(toPiastres(0.1 + 0.2), 30);
+  assert.equal(formatMoney(1250), '12.50 EGP');
+  assert.equal(formatMoney(1200), '12 EGP');
+  assert.equal(formatMoney(-5), '-0.05 EGP');
+  assert.equal(roundToStep(1249, 50), 1250);
+  assert.equal(roundToStep(1224, 50), 1200);
+});
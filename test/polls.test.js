@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tallyPoll } from '../services/polls.js';
+
+function poll(mode, options, rankings) {
+  return {
+    mode,
+    options: options.map(restaurantId => ({ restaurantId })),
+    votes: rankings.map((ranking, idx) => ({ user: `u${idx}`, ranking })),
+  };
+}
+
+test('single-choice polls count first choices once', () => {
+  const { winner, rounds } = tallyPoll(poll('single', ['a', 'b', 'c'], [['b'], ['a'], ['b'], ['c']]));
+  assert.equal(winner, 'b');
+  assert.deepEqual(rounds, [{ counts: { a: 1, b: 2, c: 1 }, eliminated: null }]);
+});
+
+test('ranked polls eliminate the weakest option until one has a majority', () => {
+  const { winner, rounds } = tallyPoll(poll('ranked', ['a', 'b', 'c'], [
+    ['a', 'b'], ['a', 'b'],
+    ['b', 'c'], ['b', 'c'],
+    ['c', 'b'],
+  ]));
+  assert.equal(rounds.length, 2);
+  assert.deepEqual(rounds[0], { counts: { a: 2, b: 2, c: 1 }, eliminated: 'c' });
+  assert.deepEqual(rounds[1], { counts: { a: 2, b: 3 }, eliminated: null });
+  assert.equal(winner, 'b');
+});
+
+test('exhausted ballots drop out of the majority', () => {
+  const { winner, rounds } = tallyPoll(poll('ranked', ['a', 'b', 'c'], [['a'], ['a'], ['b'], ['c', 'b'], ['c']]));
+  // Round 1: a 2, b 1, c 2 → b out; its ballot has no next choice
+  assert.equal(rounds[0].eliminated, 'b');
+  // Round 2: a 2, c 2 of 4 counted — no majority, c (proposed later) goes
+  assert.deepEqual(rounds[1], { counts: { a: 2, c: 2 }, eliminated: 'c' });
+  assert.equal(winner, 'a');
+});
+
+test('ties go to the option proposed first', () => {
+  assert.equal(tallyPoll(poll('single', ['b', 'a'], [['a'], ['b']])).winner, 'b');
+});
+
+test('votes for options no longer in the poll are ignored', () => {
+  const { winner, rounds } = tallyPoll(poll('ranked', ['a', 'b'], [['gone', 'b'], ['a'], ['gone']]));
+  assert.deepEqual(rounds[0].counts, { a: 1, b: 1 });
+  assert.equal(winner, 'a');
+});
+
+test('a poll without votes has no winner', () => {
+  assert.deepEqual(tallyPoll(poll('ranked', ['a', 'b'], [])), { winner: null, rounds: [{ counts: { a: 0, b: 0 }, eliminated: null }] });
+});
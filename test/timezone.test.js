@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { zonedTimeToUtc, zonedParts, endOfLocalDay, parseDateRange } from '../services/timezone.js';
+
+// Egypt: UTC+2 in winter, UTC+3 from the last Friday of April to the last Thursday of October
+const HOUR = 60 * 60 * 1000;
+
+test('zonedTimeToUtc uses the winter and summer offsets', () => {
+  assert.equal(zonedTimeToUtc({ year: 2026, month: 1, day: 15, hour: 9 }).toISOString(), '2026-01-15T07:00:00.000Z');
+  assert.equal(zonedTimeToUtc({ year: 2026, month: 7, day: 15, hour: 9 }).toISOString(), '2026-07-15T06:00:00.000Z');
+});
+
+test('zonedTimeToUtc across the spring switch (2026-04-24, 00:00 → 01:00)', () => {
+  assert.equal(zonedTimeToUtc({ year: 2026, month: 4, day: 23, hour: 23, minute: 30 }).toISOString(), '2026-04-23T21:30:00.000Z');
+  assert.equal(zonedTimeToUtc({ year: 2026, month: 4, day: 24, hour: 1 }).toISOString(), '2026-04-23T22:00:00.000Z');
+  // Midnight doesn't exist that night: the day starts at 01:00
+  const start = zonedTimeToUtc({ year: 2026, month: 4, day: 24 });
+  assert.equal(start.toISOString(), '2026-04-23T22:00:00.000Z');
+  assert.equal(zonedParts(start).date, '2026-04-24');
+});
+
+test('zonedTimeToUtc across the autumn switch (2026-10-29, 24:00 → 23:00)', () => {
+  assert.equal(zonedTimeToUtc({ year: 2026, month: 10, day: 29, hour: 9 }).toISOString(), '2026-10-29T06:00:00.000Z');
+  assert.equal(zonedTimeToUtc({ year: 2026, month: 10, day: 30 }).toISOString(), '2026-10-29T22:00:00.000Z');
+  assert.equal(zonedTimeToUtc({ year: 2026, month: 10, day: 30, hour: 9 }).toISOString(), '2026-10-30T07:00:00.000Z');
+});
+
+test('local days around the switches are 23 and 25 hours long', () => {
+  const dayLength = (month, day) =>
+    zonedTimeToUtc({ year: 2026, month, day: day + 1 }) - zonedTimeToUtc({ year: 2026, month, day });
+  assert.equal(dayLength(4, 23), 24 * HOUR);
+  assert.equal(dayLength(4, 24), 23 * HOUR);
+  assert.equal(dayLength(10, 29), 25 * HOUR);
+  assert.equal(dayLength(10, 30), 24 * HOUR);
+});
+
+test('endOfLocalDay and date ranges follow the local calendar', () => {
+  assert.equal(endOfLocalDay(new Date('2026-10-29T12:00:00Z')).toISOString(), '2026-10-29T21:59:59.999Z');
+  const { from, to } = parseDateRange({ from: '2026-04-23', to: '2026-04-24' });
+  assert.equal(from.toISOString(), '2026-04-22T22:00:00.000Z');
+  assert.equal(to.toISOString(), '2026-04-24T20:59:59.999Z');
+  assert.deepEqual(parseDateRange({ from: '2026-05-02', to: '2026-05-01' }), { error: '"from" must be before "to"' });
+});